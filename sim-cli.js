@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+// Headless jump simulation
+// Usage: node sim-cli.js --scenario scenarios/jump.json [--format csv|json] [--out telemetry.csv]
+//                        [--hz 120] [--integrator rk4] [--every 10] [--quiet]
+//        node sim-cli.js --dispersion scenarios/dispersion.json [--runs 500] [--seed 7] [--out landings.csv]
+import fs from "fs";
+import path from "path";
+import { runJump } from "./src/simulationRunner.js";
+import { runDispersion } from "./src/dispersion.js";
+import { runScenarioChecks } from "./src/scenarioChecks.js";
+import { FlowRegime, FLOW_REGIME_NAMES, getFlowRegime } from "./src/atmosphere.js";
+
+const USAGE = `Usage: node sim-cli.js [options]
+
+Options:
+  --scenario <file>    Scenario JSON (defaults are used for missing fields)
+  --format <csv|json>  Output format (default: from --out extension, else csv)
+  --out <file>         Write telemetry to a file instead of stdout
+  --hz <rate>          Physics rate in steps per second (overrides scenario)
+  --integrator <type>  semi-implicit-euler | velocity-verlet | rk4 (overrides scenario)
+  --every <n>          Record every nth physics step (overrides scenario)
+  --dispersion <file>  Monte Carlo dispersion config; writes one row per landing
+  --runs <n>           Number of dispersion runs (overrides config)
+  --seed <n>           Dispersion random seed (overrides config)
+  --quiet              Suppress simulation log messages
+  --help               Show this help
+`;
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+
+        const key = arg.slice(2);
+        if (key === 'quiet' || key === 'help') {
+            args[key] = true;
+        } else {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for --${key}`);
+            }
+            args[key] = argv[++i];
+        }
+    }
+    return args;
+}
+
+function loadJSON(file) {
+    if (!file) return {};
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeOutput(args, output) {
+    if (args.out) {
+        fs.writeFileSync(args.out, output);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+// Physics modules log to the console; keep stdout clean for the output
+function withRedirectedLog(args, run) {
+    const log = console.log;
+    console.log = args.quiet ? () => {} : (...messages) => console.error(...messages);
+    try {
+        return run();
+    } finally {
+        console.log = log;
+    }
+}
+
+function landingsToCSV(landings) {
+    const columns = Object.keys(landings[0] || { run: 0 });
+    const rows = landings.map(landing => columns.map(column => {
+        const value = landing[column];
+        return typeof value === 'number' ? String(Number(value.toFixed(6))) : String(value);
+    }).join(','));
+    return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+function runDispersionCommand(args, format) {
+    const config = loadJSON(args.dispersion);
+    if (args.runs) config.runs = parseInt(args.runs, 10);
+    // At least one jump, or there is no landing scatter to summarise
+    if (config.runs !== undefined) config.runs = Math.max(1, config.runs);
+    if (args.seed) config.seed = parseInt(args.seed, 10);
+
+    const result = withRedirectedLog(args, () => runDispersion(config, (completed, total) => {
+        if (!args.quiet && (completed % 50 === 0 || completed === total)) {
+            console.error(`  ${completed}/${total} jumps`);
+        }
+    }));
+    const stats = result.statistics;
+
+    writeOutput(args, format === 'json'
+        ? JSON.stringify({ config: result.config, statistics: stats, landings: result.landings }, null, 2)
+        : landingsToCSV(result.landings));
+
+    console.error(
+        `${stats.count} jumps, mean landing point (${stats.mean.x.toFixed(1)}, ${stats.mean.z.toFixed(1)}), ` +
+        `CEP ${stats.cep.toFixed(1)} m, 95% ellipse ${stats.ellipse95.semiMajor.toFixed(1)} × ` +
+        `${stats.ellipse95.semiMinor.toFixed(1)} m at ${(stats.ellipse95.angle * 180 / Math.PI).toFixed(1)}°`
+    );
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    const format = args.format || (args.out && path.extname(args.out) === '.json' ? 'json' : 'csv');
+    if (format !== 'csv' && format !== 'json') {
+        throw new Error(`Unknown format: ${format}`);
+    }
+
+    if (args.dispersion) {
+        runDispersionCommand(args, format);
+        return;
+    }
+
+    const scenario = loadJSON(args.scenario);
+    if (args.hz) scenario.physicsHz = Number(args.hz);
+    if (args.integrator) scenario.integrator = args.integrator;
+    if (args.every) scenario.sampleEvery = Math.max(1, parseInt(args.every, 10));
+
+    const result = withRedirectedLog(args, () => runJump(scenario));
+
+    const { summary, telemetry } = result;
+    const output = format === 'json'
+        ? telemetry.toJSON({
+            scenario: result.scenario,
+            summary: {
+                ...summary,
+                landingPosition: summary.landingPosition.toArray(),
+                touchdownVelocity: summary.touchdownVelocity.toArray()
+            }
+        })
+        : telemetry.toCSV();
+
+    writeOutput(args, output);
+
+    console.error(
+        `${summary.landed ? 'Touchdown' : 'Stopped'} after ${summary.flightTime.toFixed(2)} s ` +
+        `(${summary.steps} steps) at (${summary.landingPosition.toArray().map(v => v.toFixed(1)).join(', ')}), ` +
+        `${telemetry.samples.length} samples${args.out ? ` written to ${args.out}` : ''}`
+    );
+    if (summary.boundaryHits > 0) {
+        console.error(
+            `Warning: the flight box (enforceBoundaries) clamped the jumper on ${summary.boundaryHits} steps; ` +
+            'the landing position and speeds are pinned to its edge'
+        );
+    }
+    const flowRegime = getFlowRegime(summary.maxMach);
+    if (flowRegime !== FlowRegime.SUBSONIC) {
+        console.error(`Peak Mach ${summary.maxMach.toFixed(2)} (${FLOW_REGIME_NAMES[flowRegime]})`);
+    }
+    if (summary.landing) {
+        const landing = summary.landing;
+        console.error(
+            `${landing.outcomeName}: ${landing.verticalSpeed.toFixed(1)} m/s vertical, ` +
+            `${landing.horizontalSpeed.toFixed(1)} m/s horizontal, ${landing.peakDecelerationG.toFixed(1)} g est., ` +
+            `${landing.impactEnergy.toFixed(0)} J` +
+            (landing.slope >= 0.5 ? ` on a ${landing.slope.toFixed(0)}° slope` : '')
+        );
+    }
+
+    // Checks may rerun the jump, so their physics logs stay off stdout too
+    const failed = withRedirectedLog(args, () => runScenarioChecks(result)).filter(check => {
+        console.error(`Check ${check.passed ? 'passed' : 'FAILED'}: ${check.name} (${check.detail})`);
+        return !check.passed;
+    });
+    if (failed.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`sim-cli: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+}
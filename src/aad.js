@@ -0,0 +1,160 @@
+import { ParachuteState } from "./parachutePhysics.js";
+
+// Automatic Activation Device (AAD)
+// Watches the height above the ground and vertical speed and fires the reserve when the jumper is still
+// falling fast below the activation altitude. Thresholds follow common dual-mode devices.
+// The simulator has no two-canopies-out state, so firing with a malfunctioning main
+// releases the main first.
+
+export const AADMode = {
+    STUDENT: 'student',
+    EXPERT: 'expert',
+    TANDEM: 'tandem'
+};
+
+// Device status
+export const AADStatus = {
+    DISARMED: 'disarmed',
+    ARMED: 'armed',
+    FIRED: 'fired'
+};
+
+export const AAD_MODES = {
+    [AADMode.STUDENT]: {
+        mode: AADMode.STUDENT,
+        name: 'Student',
+        activationAltitude: 300,    // m, fires at or below this height...
+        activationSpeed: 13         // m/s, ...while descending faster than this
+    },
+    [AADMode.EXPERT]: {
+        mode: AADMode.EXPERT,
+        name: 'Expert',
+        activationAltitude: 225,
+        activationSpeed: 35
+    },
+    [AADMode.TANDEM]: {
+        mode: AADMode.TANDEM,
+        name: 'Tandem',
+        activationAltitude: 580,
+        activationSpeed: 35
+    }
+};
+
+// Below this height the device never fires (no time left for the reserve to open)
+export const AAD_MIN_ACTIVATION_ALTITUDE = 40; // m
+
+// Mode entry by id, null if unknown
+export function getAADMode(mode) {
+    return AAD_MODES[mode] || null;
+}
+
+// { 'Display name': mode } for GUI dropdowns
+export function getAADModeOptions() {
+    const options = {};
+    Object.values(AAD_MODES).forEach(entry => {
+        options[entry.name] = entry.mode;
+    });
+    return options;
+}
+
+export class AutomaticActivationDevice {
+    constructor(parachutePhysics, mode = AADMode.EXPERT) {
+        this.parachutePhysics = parachutePhysics;
+        this.mode = mode;
+        this.settings = getAADMode(mode);
+        this.status = AADStatus.DISARMED;
+        this.fireAltitude = null;
+        this.fireSpeed = null;
+    }
+
+    // Select student / expert / tandem thresholds
+    setMode(mode) {
+        const settings = getAADMode(mode);
+        if (!settings) {
+            console.warn('Unknown AAD mode:', mode);
+            return false;
+        }
+        this.mode = mode;
+        this.settings = settings;
+        return true;
+    }
+
+    arm() {
+        if (this.status === AADStatus.FIRED) return;
+        this.status = AADStatus.ARMED;
+    }
+
+    disarm() {
+        if (this.status === AADStatus.FIRED) return;
+        this.status = AADStatus.DISARMED;
+    }
+
+    isArmed() {
+        return this.status === AADStatus.ARMED;
+    }
+
+    hasFired() {
+        return this.status === AADStatus.FIRED;
+    }
+
+    // Descent speed (m/s, positive downward)
+    getDescentSpeed() {
+        return Math.max(0, -this.parachutePhysics.velocity.y);
+    }
+
+    // True when an armed device is inside its activation window with no good canopy out
+    shouldFire() {
+        if (!this.isArmed()) return false;
+
+        const physics = this.parachutePhysics;
+        if (physics.reserveDeployed) return false;
+        if (physics.parachuteOpen && physics.state !== ParachuteState.MALFUNCTION) return false;
+
+        return physics.heightAboveGround <= this.settings.activationAltitude &&
+            physics.heightAboveGround > AAD_MIN_ACTIVATION_ALTITUDE &&
+            this.getDescentSpeed() > this.settings.activationSpeed;
+    }
+
+    // Check the activation window once per physics step
+    update() {
+        if (this.shouldFire()) {
+            this.fire();
+        }
+    }
+
+    fire() {
+        const physics = this.parachutePhysics;
+
+        this.status = AADStatus.FIRED;
+        this.fireAltitude = physics.heightAboveGround;
+        this.fireSpeed = this.getDescentSpeed();
+
+        physics.recordEvent('aad-fire', {
+            mode: this.mode,
+            descentSpeed: this.fireSpeed
+        });
+        console.log(`🚨 AAD fired (${this.settings.name}) at ${this.fireAltitude.toFixed(0)} m, ${this.fireSpeed.toFixed(1)} m/s`);
+
+        if (physics.canCutaway()) {
+            physics.cutaway();
+        }
+        physics.deployReserve();
+    }
+
+    // Status line for the GUI
+    getStatusText() {
+        if (this.hasFired()) {
+            return `🚨 Fired at ${this.fireAltitude.toFixed(0)} m`;
+        }
+        return this.isArmed() ? `Armed (${this.settings.name})` : 'Disarmed';
+    }
+
+    // A fired device is re-armed for the next jump; disarmed stays disarmed
+    reset() {
+        if (this.hasFired()) {
+            this.status = AADStatus.ARMED;
+        }
+        this.fireAltitude = null;
+        this.fireSpeed = null;
+    }
+}
@@ -0,0 +1,107 @@
+// Digital altimeter with alert altitudes and an optional auto-deploy altitude
+// AltimeterDisplay (altimeterDisplay.js) draws it and beeps.
+
+export const AltimeterAlert = {
+    BREAK_OFF: 'break-off',
+    DEPLOY: 'deploy',
+    HARD_DECK: 'hard-deck'
+};
+
+// Defaults suit the 455 m platform jump (skydives typically use about 1400 / 1000 / 750 m)
+export const DEFAULT_ALERTS = [
+    { id: AltimeterAlert.BREAK_OFF, name: 'Break-off', altitude: 400 },
+    { id: AltimeterAlert.DEPLOY, name: 'Deploy', altitude: 300 },
+    { id: AltimeterAlert.HARD_DECK, name: 'Hard deck', altitude: 200 }
+];
+
+export class Altimeter {
+    constructor(alerts = DEFAULT_ALERTS) {
+        this.alerts = alerts.map(alert => ({ ...alert, enabled: true, triggered: false }));
+        this.autoDeployEnabled = false;
+        this.autoDeployAltitude = 250;   // m
+        this.autoDeployTriggered = false;
+
+        this.altitude = null;
+        this.verticalSpeed = 0;
+        this.lastAltitude = null;
+    }
+
+    getAlert(id) {
+        return this.alerts.find(alert => alert.id === id) || null;
+    }
+
+    setAlertAltitude(id, altitude) {
+        const alert = this.getAlert(id);
+        if (!alert) {
+            console.warn('Unknown altimeter alert:', id);
+            return false;
+        }
+        alert.altitude = altitude;
+        return true;
+    }
+
+    setAlertEnabled(id, enabled) {
+        const alert = this.getAlert(id);
+        if (!alert) return false;
+        alert.enabled = enabled;
+        return true;
+    }
+
+    // Auto-deploy altitude in metres, or null to switch it off
+    setAutoDeploy(altitude) {
+        this.autoDeployEnabled = altitude !== null && altitude !== undefined;
+        if (this.autoDeployEnabled) {
+            this.autoDeployAltitude = altitude;
+        }
+    }
+
+    // Feed the current altitude and vertical speed (m/s, negative descending) once per physics step.
+    // Returns the alerts crossed downward since the last update (at any speed; standing on the
+    // platform or climbing crosses none) and whether to auto-deploy.
+    update(altitude, verticalSpeed) {
+        const previous = this.lastAltitude;
+        this.altitude = altitude;
+        this.verticalSpeed = verticalSpeed;
+        this.lastAltitude = altitude;
+
+        const result = { alerts: [], autoDeploy: false };
+        if (previous === null) return result;
+
+        this.alerts.forEach(alert => {
+            if (alert.enabled && !alert.triggered && crossedDownward(previous, altitude, alert.altitude)) {
+                alert.triggered = true;
+                result.alerts.push(alert);
+            }
+        });
+
+        if (this.autoDeployEnabled && !this.autoDeployTriggered &&
+            crossedDownward(previous, altitude, this.autoDeployAltitude)) {
+            this.autoDeployTriggered = true;
+            result.autoDeploy = true;
+        }
+
+        return result;
+    }
+
+    // Next alert below the jumper, null when all have passed
+    getNextAlert() {
+        return this.alerts
+            .filter(alert => alert.enabled && !alert.triggered && (this.altitude === null || alert.altitude < this.altitude))
+            .sort((a, b) => b.altitude - a.altitude)[0] || null;
+    }
+
+    // Re-arm all alerts for the next jump
+    reset() {
+        this.alerts.forEach(alert => {
+            alert.triggered = false;
+        });
+        this.autoDeployTriggered = false;
+        this.altitude = null;
+        this.verticalSpeed = 0;
+        this.lastAltitude = null;
+    }
+}
+
+function crossedDownward(previous, current, threshold) {
+    return previous > threshold && current <= threshold;
+}
@@ -0,0 +1,154 @@
+import { AltimeterAlert } from "./altimeter.js";
+import { FlowRegime, FLOW_REGIME_NAMES } from "./atmosphere.js";
+
+// On-screen digital altimeter with flashing visual alerts and WebAudio beeps
+// Beep patterns: [frequency (Hz), duration (s)] per tone, like an audible altimeter.
+const ALERT_TONES = {
+    [AltimeterAlert.BREAK_OFF]: [[880, 0.6]],
+    [AltimeterAlert.DEPLOY]: [[1200, 0.2], [1200, 0.2], [1200, 0.2]],
+    [AltimeterAlert.HARD_DECK]: [[1600, 0.1], [1600, 0.1], [1600, 0.1], [1600, 0.1], [1600, 0.1], [1600, 0.1]]
+};
+
+const ALERT_COLORS = {
+    [AltimeterAlert.BREAK_OFF]: '#FFC107',
+    [AltimeterAlert.DEPLOY]: '#FF9800',
+    [AltimeterAlert.HARD_DECK]: '#F44336'
+};
+
+const FLOW_REGIME_COLORS = {
+    [FlowRegime.SUBSONIC]: '#bbb',
+    [FlowRegime.TRANSONIC]: '#FF9800',
+    [FlowRegime.SUPERSONIC]: '#F44336'
+};
+
+const ALERT_FLASH_TIME = 2.5; // s (real time)
+const MIN_MACH_SHOWN = 0.5;   // Mach readout appears from here (high-altitude freefall)
+
+export class AltimeterDisplay {
+    constructor(altimeter) {
+        this.altimeter = altimeter;
+        this.soundEnabled = true;
+        this.audioContext = null;
+        this.flashUntil = 0;
+        this.flashMessage = '';
+        this.flashColor = 'transparent';
+        this.mach = 0;
+        this.flowRegime = FlowRegime.SUBSONIC;
+
+        this.element = document.createElement('div');
+        this.element.id = 'altimeter';
+        Object.assign(this.element.style, {
+            position: 'fixed',
+            bottom: '20px',
+            right: '20px',
+            minWidth: '170px',
+            background: 'rgba(0,0,0,0.6)',
+            color: '#fff',
+            padding: '10px 16px',
+            borderRadius: '8px',
+            border: '2px solid transparent',
+            fontFamily: 'monospace',
+            textAlign: 'right',
+            zIndex: 1000
+        });
+
+        this.altitudeElement = document.createElement('div');
+        this.altitudeElement.style.fontSize = '36px';
+        this.detailElement = document.createElement('div');
+        this.detailElement.style.fontSize = '13px';
+        this.machElement = document.createElement('div');
+        this.machElement.style.fontSize = '16px';
+        this.alertElement = document.createElement('div');
+        this.alertElement.style.fontSize = '16px';
+        this.alertElement.style.fontWeight = 'bold';
+
+        this.element.append(this.altitudeElement, this.detailElement, this.machElement, this.alertElement);
+        document.body.appendChild(this.element);
+    }
+
+    // Draw the latest altimeter reading (altimeter.update runs each physics step); call once per frame
+    render() {
+        const altimeter = this.altimeter;
+        const altitude = altimeter.altitude === null ? 0 : altimeter.altitude;
+        const nextAlert = altimeter.getNextAlert();
+
+        this.altitudeElement.innerText = `${Math.max(0, altitude).toFixed(0)} m`;
+        this.detailElement.innerText =
+            `${(-altimeter.verticalSpeed).toFixed(1)} m/s ↓` +
+            (nextAlert ? ` | ${nextAlert.name} ${nextAlert.altitude} m` : '') +
+            (altimeter.autoDeployEnabled ? ` | Auto ${altimeter.autoDeployAltitude} m` : '');
+
+        this.machElement.innerText = this.mach >= MIN_MACH_SHOWN
+            ? `M ${this.mach.toFixed(2)} ${FLOW_REGIME_NAMES[this.flowRegime]}`
+            : '';
+        this.machElement.style.color = FLOW_REGIME_COLORS[this.flowRegime];
+
+        const flashing = performance.now() / 1000 < this.flashUntil;
+        const blinkOn = flashing && Math.floor(performance.now() / 250) % 2 === 0;
+        this.alertElement.innerText = flashing ? this.flashMessage : '';
+        this.element.style.borderColor = blinkOn ? this.flashColor : 'transparent';
+    }
+
+    // Flash and beep for an alert returned by altimeter.update
+    showAlert(alert) {
+        this.flashMessage = `⚠️ ${alert.name.toUpperCase()}`;
+        this.flashColor = ALERT_COLORS[alert.id] || '#FFC107';
+        this.flashUntil = performance.now() / 1000 + ALERT_FLASH_TIME;
+        this.beep(ALERT_TONES[alert.id] || ALERT_TONES[AltimeterAlert.BREAK_OFF]);
+        console.log(`🔔 Altimeter: ${alert.name} (${alert.altitude} m)`);
+    }
+
+    // Mach number and flow regime from ParachutePhysics; flashes when the jumper goes transonic
+    // or supersonic
+    setMach(mach, flowRegime) {
+        const speedingUp = flowRegime !== this.flowRegime && flowRegime !== FlowRegime.SUBSONIC &&
+            (this.flowRegime === FlowRegime.SUBSONIC || flowRegime === FlowRegime.SUPERSONIC);
+        this.mach = mach;
+        this.flowRegime = flowRegime;
+
+        if (speedingUp) {
+            this.showMessage(`🔊 ${FLOW_REGIME_NAMES[flowRegime].toUpperCase()}`, FLOW_REGIME_COLORS[flowRegime]);
+        }
+    }
+
+    showMessage(message, color = '#4CAF50') {
+        this.flashMessage = message;
+        this.flashColor = color;
+        this.flashUntil = performance.now() / 1000 + ALERT_FLASH_TIME;
+    }
+
+    // Play a tone sequence; the audio context is created on first use (after a key press)
+    beep(tones) {
+        if (!this.soundEnabled) return;
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        if (!this.audioContext) {
+            this.audioContext = new AudioContextClass();
+        }
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+
+        let start = this.audioContext.currentTime;
+        tones.forEach(([frequency, duration]) => {
+            const oscillator = this.audioContext.createOscillator();
+            const gain = this.audioContext.createGain();
+            oscillator.type = 'square';
+            oscillator.frequency.value = frequency;
+            gain.gain.value = 0.1;
+            oscillator.connect(gain);
+            gain.connect(this.audioContext.destination);
+            oscillator.start(start);
+            oscillator.stop(start + duration);
+            start += duration * 1.5;
+        });
+    }
+
+    reset() {
+        this.flashUntil = 0;
+        this.mach = 0;
+        this.flowRegime = FlowRegime.SUBSONIC;
+        this.render();
+    }
+}
@@ -0,0 +1,292 @@
+// Atmosphere models
+// An AtmosphereModel gives temperature, pressure and humidity at a geometric altitude;
+// sample() derives density (from the virtual temperature) and speed of sound from them.
+// Models: StandardAtmosphere (US Standard Atmosphere 1976 to 86 km, with ISA±ΔT, sea-level
+// pressure and relative humidity) and SoundingAtmosphere (an imported temperature / pressure
+// profile).
+
+const STANDARD_GRAVITY = 9.80665;      // m/s² / g₀
+const AIR_MOLAR_MASS = 0.0289644;      // kg/mol / M (dry air)
+const GAS_CONSTANT = 8.3144598;        // J/(mol*K) / R
+const HEAT_CAPACITY_RATIO = 1.4;       // γ of dry air
+const EARTH_RADIUS = 6356766;          // m, r₀ used for geopotential altitude
+const VAPOR_MOLAR_MASS_RATIO = 0.622;  // M_water / M_dry air
+const BAROMETRIC_EXPONENT = STANDARD_GRAVITY * AIR_MOLAR_MASS / GAS_CONSTANT; // K/m
+
+export const STANDARD_SEA_LEVEL_PRESSURE = 101325; // Pa
+
+// base: geopotential altitude (m), lapseRate: K/m, baseTemperature: K (standard day).
+// Base pressures follow from the sea-level pressure (22632 Pa at 11 km on a standard day).
+export const STANDARD_ATMOSPHERE_LAYERS = [
+    { name: 'Troposphere', base: 0, lapseRate: -0.0065, baseTemperature: 288.15 },
+    { name: 'Tropopause', base: 11000, lapseRate: 0, baseTemperature: 216.65 },
+    { name: 'Stratosphere', base: 20000, lapseRate: 0.001, baseTemperature: 216.65 },
+    { name: 'Upper stratosphere', base: 32000, lapseRate: 0.0028, baseTemperature: 228.65 },
+    { name: 'Stratopause', base: 47000, lapseRate: 0, baseTemperature: 270.65 },
+    { name: 'Mesosphere', base: 51000, lapseRate: -0.0028, baseTemperature: 270.65 },
+    { name: 'Upper mesosphere', base: 71000, lapseRate: -0.002, baseTemperature: 214.65 }
+];
+
+// Geometric altitude range (m) covered by the layers (the troposphere extends below sea level)
+export const ATMOSPHERE_TOP_ALTITUDE = 86000;
+export const ATMOSPHERE_BOTTOM_ALTITUDE = -5000;
+
+// Flow around the jumper by Mach number
+export const FlowRegime = {
+    SUBSONIC: 'subsonic',
+    TRANSONIC: 'transonic',
+    SUPERSONIC: 'supersonic'
+};
+
+export const FLOW_REGIME_NAMES = {
+    [FlowRegime.SUBSONIC]: 'Subsonic',
+    [FlowRegime.TRANSONIC]: 'Transonic',
+    [FlowRegime.SUPERSONIC]: 'Supersonic'
+};
+
+// Local flow around the body reaches sonic speed from about Mach 0.8 and is
+// supersonic everywhere above about Mach 1.2
+const TRANSONIC_MACH = 0.8;
+const SUPERSONIC_MACH = 1.2;
+
+// H = r₀ × z / (r₀ + z)
+export function toGeopotentialAltitude(altitude) {
+    return EARTH_RADIUS * altitude / (EARTH_RADIUS + altitude);
+}
+
+// a = √(γ × R × T / M)
+export function calculateSpeedOfSound(temperatureKelvin) {
+    return Math.sqrt(HEAT_CAPACITY_RATIO * GAS_CONSTANT * temperatureKelvin / AIR_MOLAR_MASS);
+}
+
+// Saturation vapour pressure over water (Pa), Magnus formula (Alduchov & Eskridge)
+export function calculateSaturationVaporPressure(temperatureCelsius) {
+    return 610.94 * Math.exp(17.625 * temperatureCelsius / (temperatureCelsius + 243.04));
+}
+
+// Tv = T / (1 - (e / P) × (1 - ε)): the dry-air temperature with the same density as moist air
+export function calculateVirtualTemperature(temperatureKelvin, pressure, vaporPressure) {
+    return temperatureKelvin / (1 - (vaporPressure / pressure) * (1 - VAPOR_MOLAR_MASS_RATIO));
+}
+
+export function getFlowRegime(mach) {
+    if (mach >= SUPERSONIC_MACH) return FlowRegime.SUPERSONIC;
+    if (mach >= TRANSONIC_MACH) return FlowRegime.TRANSONIC;
+    return FlowRegime.SUBSONIC;
+}
+
+// Layers with base pressures chained up from the sea-level pressure, temperatures shifted by ΔT
+function buildLayers(temperatureOffset, seaLevelPressure) {
+    const layers = [];
+    let basePressure = seaLevelPressure;
+    STANDARD_ATMOSPHERE_LAYERS.forEach((layer, index) => {
+        const shifted = { ...layer, baseTemperature: layer.baseTemperature + temperatureOffset, basePressure };
+        layers.push(shifted);
+
+        const next = STANDARD_ATMOSPHERE_LAYERS[index + 1];
+        if (next) {
+            basePressure = layerPressure(shifted, next.base);
+        }
+    });
+    return layers;
+}
+
+// P = P_b × (T_b / T)^(g₀M / RL), or P_b × e^(-g₀M·Δh / RT_b) in isothermal layers
+function layerPressure(layer, geopotentialAltitude) {
+    const height = geopotentialAltitude - layer.base;
+    if (layer.lapseRate === 0) {
+        return layer.basePressure * Math.exp(-BAROMETRIC_EXPONENT * height / layer.baseTemperature);
+    }
+    const temperature = layer.baseTemperature + layer.lapseRate * height;
+    return layer.basePressure * Math.pow(layer.baseTemperature / temperature, BAROMETRIC_EXPONENT / layer.lapseRate);
+}
+
+function findLayer(layers, geopotentialAltitude) {
+    let layer = layers[0];
+    for (const candidate of layers) {
+        if (geopotentialAltitude >= candidate.base) {
+            layer = candidate;
+        }
+    }
+    return layer;
+}
+
+function clampAltitude(altitude) {
+    return Math.max(ATMOSPHERE_BOTTOM_ALTITUDE, Math.min(altitude, ATMOSPHERE_TOP_ALTITUDE));
+}
+
+// Base class: subclasses implement getConditions(altitude) and return
+// { temperatureKelvin, pressure (Pa), vaporPressure (Pa), layer }
+export class AtmosphereModel {
+    constructor(name) {
+        this.name = name;
+    }
+
+    getConditions(altitude) {
+        throw new Error(`${this.constructor.name} does not implement getConditions`);
+    }
+
+    // Full state at a geometric altitude (m)
+    sample(altitude) {
+        const conditions = this.getConditions(altitude);
+        const { temperatureKelvin, pressure, vaporPressure } = conditions;
+        const virtualTemperature = calculateVirtualTemperature(temperatureKelvin, pressure, vaporPressure);
+        const density = pressure * AIR_MOLAR_MASS / (GAS_CONSTANT * virtualTemperature);
+
+        return {
+            altitude,
+            layer: conditions.layer,
+            temperature: temperatureKelvin - 273.15,   // °C
+            temperatureKelvin,
+            pressure,                                  // Pa
+            vaporPressure,                             // Pa
+            relativeHumidity: Math.min(1, vaporPressure / calculateSaturationVaporPressure(temperatureKelvin - 273.15)),
+            virtualTemperature,                        // K
+            density,                                   // kg/m³
+            speedOfSound: calculateSpeedOfSound(virtualTemperature)
+        };
+    }
+}
+
+// US Standard Atmosphere with optional non-standard day:
+// temperatureOffset (ISA±ΔT, K), seaLevelPressure (Pa) and relativeHumidity (0..1)
+export class StandardAtmosphere extends AtmosphereModel {
+    constructor(options = {}) {
+        const { temperatureOffset = 0, seaLevelPressure = STANDARD_SEA_LEVEL_PRESSURE, relativeHumidity = 0 } = options;
+        super(describeStandardDay(temperatureOffset, seaLevelPressure, relativeHumidity));
+        this.temperatureOffset = temperatureOffset;
+        this.seaLevelPressure = seaLevelPressure;
+        this.relativeHumidity = Math.max(0, Math.min(relativeHumidity, 1));
+        this.layers = buildLayers(temperatureOffset, seaLevelPressure);
+    }
+
+    getConditions(altitude) {
+        const geopotentialAltitude = toGeopotentialAltitude(clampAltitude(altitude));
+        const layer = findLayer(this.layers, geopotentialAltitude);
+        const temperatureKelvin = layer.baseTemperature + layer.lapseRate * (geopotentialAltitude - layer.base);
+        const pressure = layerPressure(layer, geopotentialAltitude);
+
+        return {
+            temperatureKelvin,
+            pressure,
+            vaporPressure: this.relativeHumidity * calculateSaturationVaporPressure(temperatureKelvin - 273.15),
+            layer: layer.name
+        };
+    }
+}
+
+function describeStandardDay(temperatureOffset, seaLevelPressure, relativeHumidity) {
+    const parts = [temperatureOffset === 0 ? 'ISA' : `ISA${temperatureOffset > 0 ? '+' : ''}${temperatureOffset}`];
+    if (seaLevelPressure !== STANDARD_SEA_LEVEL_PRESSURE) parts.push(`${(seaLevelPressure / 100).toFixed(0)} hPa`);
+    if (relativeHumidity > 0) parts.push(`${(relativeHumidity * 100).toFixed(0)}% RH`);
+    return parts.join(', ');
+}
+
+// The reference for density altitude and the default of every consumer
+export const ISA = new StandardAtmosphere();
+
+// Measured profile (radiosonde sounding): rows of { altitude (m), temperature (°C),
+// pressure (Pa), relativeHumidity (0..1, optional) }. Temperature is interpolated linearly
+// and pressure logarithmically; outside the table the standard atmosphere continues from
+// the first / last row.
+export class SoundingAtmosphere extends AtmosphereModel {
+    constructor(rows, name = 'Sounding') {
+        super(name);
+        if (!Array.isArray(rows) || rows.length < 2) {
+            throw new Error('A sounding needs at least two levels');
+        }
+        this.rows = rows
+            .map(row => ({
+                altitude: Number(row.altitude),
+                temperatureKelvin: Number(row.temperature) + 273.15,
+                pressure: Number(row.pressure),
+                relativeHumidity: row.relativeHumidity === undefined ? 0 : Number(row.relativeHumidity)
+            }))
+            .sort((a, b) => a.altitude - b.altitude);
+
+        this.rows.forEach(row => {
+            if (![row.altitude, row.temperatureKelvin, row.pressure, row.relativeHumidity].every(Number.isFinite) || row.pressure <= 0) {
+                throw new Error(`Invalid sounding level: ${JSON.stringify(row)}`);
+            }
+        });
+    }
+
+    getConditions(altitude) {
+        const rows = this.rows;
+        const first = rows[0];
+        const last = rows[rows.length - 1];
+
+        if (altitude <= first.altitude) return this.extrapolate(first, altitude);
+        if (altitude >= last.altitude) return this.extrapolate(last, altitude);
+
+        let upper = 1;
+        while (rows[upper].altitude < altitude) upper++;
+        const lower = rows[upper - 1];
+        const t = (altitude - lower.altitude) / (rows[upper].altitude - lower.altitude);
+
+        const temperatureKelvin = lower.temperatureKelvin + (rows[upper].temperatureKelvin - lower.temperatureKelvin) * t;
+        const relativeHumidity = lower.relativeHumidity + (rows[upper].relativeHumidity - lower.relativeHumidity) * t;
+        return {
+            temperatureKelvin,
+            pressure: lower.pressure * Math.pow(rows[upper].pressure / lower.pressure, t),
+            vaporPressure: relativeHumidity * calculateSaturationVaporPressure(temperatureKelvin - 273.15),
+            layer: this.name
+        };
+    }
+
+    // Standard lapse rates and pressure ratios from a table end
+    extrapolate(row, altitude) {
+        const reference = ISA.getConditions(row.altitude);
+        const standard = ISA.getConditions(altitude);
+        const temperatureKelvin = row.temperatureKelvin + standard.temperatureKelvin - reference.temperatureKelvin;
+        return {
+            temperatureKelvin,
+            pressure: row.pressure * standard.pressure / reference.pressure,
+            vaporPressure: row.relativeHumidity * calculateSaturationVaporPressure(temperatureKelvin - 273.15),
+            layer: `${this.name} (${standard.layer})`
+        };
+    }
+}
+
+// Sounding rows from CSV text (altitude m, temperature °C, pressure hPa[, relative humidity %],
+// one level per line, optional header) or a JSON array (text or parsed) of { altitude,
+// temperature, pressure (hPa), relativeHumidity (%) }, the units radiosonde tables use
+export function parseSounding(input) {
+    const trimmed = Array.isArray(input) ? '' : String(input).trim();
+    let levels;
+
+    if (Array.isArray(input)) {
+        levels = input;
+    } else if (trimmed.startsWith('[')) {
+        levels = JSON.parse(trimmed);
+    } else {
+        levels = trimmed.split(/\r?\n/)
+            .map(line => line.split(/[,;\s]+/).filter(Boolean).map(Number))
+            .filter(values => values.length >= 3 && values.every(Number.isFinite))
+            .map(([altitude, temperature, pressure, relativeHumidity]) => ({ altitude, temperature, pressure, relativeHumidity }));
+    }
+
+    return levels.map(level => ({
+        altitude: level.altitude,
+        temperature: level.temperature,
+        pressure: level.pressure * 100,
+        relativeHumidity: level.relativeHumidity === undefined ? undefined : level.relativeHumidity / 100
+    }));
+}
+
+// Altitude at which the standard atmosphere has this density (m)
+export function getDensityAltitude(density) {
+    let low = ATMOSPHERE_BOTTOM_ALTITUDE;
+    let high = ATMOSPHERE_TOP_ALTITUDE;
+    for (let i = 0; i < 40; i++) {
+        const middle = 0.5 * (low + high);
+        const conditions = ISA.getConditions(middle);
+        const standardDensity = conditions.pressure * AIR_MOLAR_MASS / (GAS_CONSTANT * conditions.temperatureKelvin);
+        if (standardDensity > density) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    return 0.5 * (low + high);
+}
@@ -0,0 +1,97 @@
+// Freefall body positions
+// Each entry sets the frontal area and subsonic drag coefficient of the skydiver; tracking also
+// produces lift along the jumper's heading (horizontal glide). animation is the clip
+// played in person.js when the model has one, pitch tilts the model (rad, head forward).
+
+export const BodyPosition = {
+    BELLY: 'belly',
+    HEAD_DOWN: 'head-down',
+    SIT: 'sit',
+    TRACK: 'track'
+};
+
+export const BODY_POSITIONS = {
+    [BodyPosition.BELLY]: {
+        id: BodyPosition.BELLY,
+        name: 'Belly to earth',
+        area: 0.7,                  // m², PHYSICS_CONSTANTS.PARACHUTIST_AREA
+        dragCoeff: 0.7,             // DRAG_COEFF_VERTICAL_FREEFALL, ≈ 50 m/s at sea level (80 kg)
+        liftCoeff: 0,
+        animation: 'idle',         // looping freefall clip of the default sequence
+        pitch: 0
+    },
+    [BodyPosition.HEAD_DOWN]: {
+        id: BodyPosition.HEAD_DOWN,
+        name: 'Head-down',
+        area: 0.3,
+        dragCoeff: 0.55,            // ≈ 88 m/s
+        liftCoeff: 0,
+        animation: 'headdown',
+        pitch: Math.PI / 2
+    },
+    [BodyPosition.SIT]: {
+        id: BodyPosition.SIT,
+        name: 'Sit-fly',
+        area: 0.42,
+        dragCoeff: 0.62,            // ≈ 70 m/s
+        liftCoeff: 0,
+        animation: 'sit',
+        pitch: -Math.PI / 2
+    },
+    [BodyPosition.TRACK]: {
+        id: BodyPosition.TRACK,
+        name: 'Track',
+        area: 0.6,
+        dragCoeff: 0.6,
+        liftCoeff: 0.48,            // glide ratio ≈ 0.8, about 30 m/s forward
+        animation: 'track',
+        pitch: Math.PI / 12
+    }
+};
+
+export const DEFAULT_BODY_POSITION = BodyPosition.BELLY;
+
+// Compressibility drag rise of the freefall body: [Mach, factor on the subsonic Cd].
+// Flat below Mach 0.6, peaks through the transonic range and settles above it.
+const MACH_DRAG_FACTORS = [
+    [0, 1.0],
+    [0.6, 1.0],
+    [0.8, 1.08],
+    [0.9, 1.25],
+    [1.0, 1.5],
+    [1.1, 1.6],
+    [1.3, 1.5],
+    [1.6, 1.38],
+    [2.0, 1.3],
+    [3.0, 1.25]
+];
+
+// Drag coefficient factor at a Mach number (linear between table points)
+export function getMachDragFactor(mach) {
+    const last = MACH_DRAG_FACTORS[MACH_DRAG_FACTORS.length - 1];
+    if (mach >= last[0]) return last[1];
+
+    for (let i = 1; i < MACH_DRAG_FACTORS.length; i++) {
+        const [upperMach, upperFactor] = MACH_DRAG_FACTORS[i];
+        if (mach <= upperMach) {
+            const [lowerMach, lowerFactor] = MACH_DRAG_FACTORS[i - 1];
+            const t = Math.max(0, (mach - lowerMach) / (upperMach - lowerMach));
+            return lowerFactor + (upperFactor - lowerFactor) * t;
+        }
+    }
+    return last[1];
+}
+
+// Body position entry by id, null if unknown
+export function getBodyPosition(id) {
+    return BODY_POSITIONS[id] || null;
+}
+
+// { 'Display name': id } for GUI dropdowns
+export function getBodyPositionOptions() {
+    const options = {};
+    Object.values(BODY_POSITIONS).forEach(position => {
+        options[position.name] = position.id;
+    });
+    return options;
+}
@@ -0,0 +1,118 @@
+// Canopy catalog
+// Each entry defines the canopy size, aerodynamic coefficients, inflation time,
+// suspension line length, effective canopy mass (flown as its own body on the lines) and the
+// visual model used by ParachuteModel.
+// Ram-air coefficients are full-flight values; trim speed follows from wing loading.
+// inflationTime is the filling time at 50 m/s and sea level; the drag area grows as
+// (t / t_fill)^inflationExponent (round canopies fill late, slider-reefed ram-airs evenly).
+
+// Canopy planform
+export const CanopyType = {
+    ROUND: 'round',
+    RAM_AIR: 'ram-air'
+};
+
+export const CANOPY_CATALOG = {
+    'round-military': {
+        id: 'round-military',
+        name: 'Round Military (T-10)',
+        type: CanopyType.ROUND,
+        area: 50,                   // m²
+        dragCoeffVertical: 1.75,
+        dragCoeffHorizontal: 1.2,
+        liftCoeff: 0,
+        inflationTime: 2.0,         // s
+        inflationExponent: 2,
+        lineLength: 20,             // m, canopy height above the jumper
+        mass: 20,                   // kg, fabric plus the air it carries (part of the exit weight)
+        visual: { model: 'round', scale: [8, 8, 8], radius: 8 }
+    },
+    'student-ram-air': {
+        id: 'student-ram-air',
+        name: 'Student Ram-air (270 ft²)',
+        type: CanopyType.RAM_AIR,
+        area: 25,
+        dragCoeffVertical: 0.164,   // ≈ 10 m/s trim, 2.5 glide ratio at 80 kg
+        dragCoeffHorizontal: 0.164,
+        liftCoeff: 0.41,
+        inflationTime: 3.0,
+        inflationExponent: 1,
+        lineLength: 12,
+        mass: 12,
+        visual: { model: 'ram-air', span: 9, chord: 3.2, thickness: 0.6, color: 0x1E88E5 }
+    },
+    'elliptical-hp': {
+        id: 'elliptical-hp',
+        name: 'High-performance Elliptical (130 ft²)',
+        type: CanopyType.RAM_AIR,
+        area: 12,
+        dragCoeffVertical: 0.14,    // ≈ 14 m/s trim, 3.2 glide ratio at 80 kg
+        dragCoeffHorizontal: 0.14,
+        liftCoeff: 0.45,
+        inflationTime: 2.0,
+        inflationExponent: 1,
+        lineLength: 8,
+        mass: 8,
+        visual: { model: 'ram-air', span: 6.5, chord: 2.1, thickness: 0.45, color: 0xE53935, elliptical: true }
+    },
+    'drogue': {
+        id: 'drogue',
+        name: 'Drogue (tandem / high-altitude)',
+        type: CanopyType.ROUND,
+        area: 0.6,
+        dragCoeffVertical: 1.5,
+        dragCoeffHorizontal: 1.0,
+        liftCoeff: 0,
+        inflationTime: 0.5,
+        inflationExponent: 2,
+        lineLength: 4,
+        mass: 1,
+        visual: { model: 'round', scale: [1.2, 1.2, 1.2], radius: 1.2 }
+    },
+    'reserve': {
+        id: 'reserve',
+        name: 'Reserve Ram-air (240 ft²)',
+        type: CanopyType.RAM_AIR,
+        area: 22,
+        dragCoeffVertical: 0.19,    // ≈ 10 m/s trim, 2.2 glide ratio at 80 kg
+        dragCoeffHorizontal: 0.19,
+        liftCoeff: 0.42,
+        inflationTime: 2.5,
+        inflationExponent: 1,
+        lineLength: 11,
+        mass: 10,
+        visual: { model: 'ram-air', span: 8.5, chord: 2.9, thickness: 0.55, color: 0xFFFFFF }
+    }
+};
+
+export const DEFAULT_CANOPY_ID = 'round-military';
+export const DEFAULT_DROGUE_ID = 'drogue';
+export const DEFAULT_RESERVE_ID = 'reserve';
+
+// Default catalog entry for each planform (used by setCanopyType)
+export const DEFAULT_CANOPY_FOR_TYPE = {
+    [CanopyType.ROUND]: 'round-military',
+    [CanopyType.RAM_AIR]: 'student-ram-air'
+};
+
+// Copy of a catalog entry by id (or a spec object), null if unknown
+export function getCanopy(idOrSpec) {
+    const spec = typeof idOrSpec === 'string' ? CANOPY_CATALOG[idOrSpec] : idOrSpec;
+    if (!spec) return null;
+
+    return {
+        inflationExponent: 1,
+        mass: 5,
+        ...spec,
+        visual: { ...(spec.visual || {}) }
+    };
+}
+
+// { 'Display name': id } for GUI dropdowns
+export function getCanopyOptions() {
+    const options = {};
+    Object.values(CANOPY_CATALOG).forEach(canopy => {
+        options[canopy.name] = canopy.id;
+    });
+    return options;
+}
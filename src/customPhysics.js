@@ -1,14 +1,24 @@
 import * as THREE from "three";
+import { IntegratorType, integrate } from "./integrators.js";
+import { SimulationClock } from "./simulationClock.js";
+import { Terrain } from "./terrain.js";
 
 // Physics constants
 const GRAVITY = 9.81; // m/s²
-const GROUND_LEVEL = 1; // Minimum Y position
-const BOUNDARY_X = 100; // X boundary limits
-const BOUNDARY_Z = 200; // Z boundary limits
+const GROUND_CLEARANCE = 1; // Height of a resting body's centre above the ground
+const BOUNDARY = 600; // Flight box half-width in x and z without a terrain (the grass plane)
 const AIR_RESISTANCE = 0.02; // Air resistance coefficient
 const FRICTION = 0.8; // Ground friction coefficient
 const RESTITUTION = 0.1; // Bounce factor
 
+// Fixed timestep defaults
+const DEFAULT_PHYSICS_HZ = 120; // Physics steps per simulated second
+const DEFAULT_MAX_SUBSTEPS = 8; // Max fixed steps taken for a single rendered frame
+const MAX_FRAME_TIME = 0.25; // Longest frame delta accepted (s), guards against the spiral of death
+
+// Default body shape for the inertia tensor: a skydiver-sized box (width, height, depth in m)
+const DEFAULT_BODY_SIZE = new THREE.Vector3(0.45, 1.8, 0.3);
+
 export class CustomPhysicsBody {
     constructor(mass = 80, initialPosition = new THREE.Vector3(0, 455, 185)) {
         this.mass = mass;
@@ -18,66 +28,165 @@ export class CustomPhysicsBody {
         this.force = new THREE.Vector3(0, 0, 0);
         this.quaternion = new THREE.Quaternion();
         this.angularVelocity = new THREE.Vector3(0, 0, 0);
+        this.angularAcceleration = new THREE.Vector3(0, 0, 0);
+        this.torque = new THREE.Vector3(0, 0, 0);
+
+        // Inertia tensor in the body frame (kg·m²) and its inverse, from a box of shapeSize
+        this.shapeSize = DEFAULT_BODY_SIZE.clone();
+        this.inertia = new THREE.Matrix3();
+        this.inverseInertia = new THREE.Matrix3();
+        this.setBoxInertia(this.shapeSize);
+
+        // Force generators sampled by the integrator: (position, velocity, timeOffset) => THREE.Vector3
+        this.forceGenerators = [];
+        this.integrator = IntegratorType.SEMI_IMPLICIT_EULER;
 
         // Physics properties
         this.isActive = true;
         this.fixedRotation = true;
+        this.enforceBoundaries = true; // Keep the body inside the BOUNDARY flight box
+        this.airDensityRatio = 1;      // Local air density / sea level, scales AIR_RESISTANCE
+        this.windSampler = null;       // (position) => air-mass velocity for AIR_RESISTANCE, still air when null
+        this.terrain = null;           // ground height field (terrain.js) set by the world, flat y = 0 when null
         this.boundingBox = new THREE.Box3();
         this.boundingBox.setFromCenterAndSize(
             this.position,
             new THREE.Vector3(2, 4, 2) // Width, height, depth
         );
 
-        // Store initial position for reset
+        // Store initial position and orientation for reset
         this.initialPosition = initialPosition.clone();
+        this.initialQuaternion = this.quaternion.clone();
+
+        // State at the start of the last fixed step, blended with the current
+        // state to give smooth render transforms between physics steps
+        this.previousPosition = this.position.clone();
+        this.previousQuaternion = this.quaternion.clone();
+        this.interpolatedPosition = this.position.clone();
+        this.interpolatedQuaternion = this.quaternion.clone();
 
         // Physics state
         this.onGround = false;
-        this.lastGroundTime = 0;
+        this.lastGroundTime = 0; // Simulated time of the last ground contact
+        this.boundaryHits = 0;   // Steps on which the flight box clamped the body (enforceBoundaries)
         this.groundContactThreshold = 0.1; // Distance threshold for ground contact
     }
 
-    // Apply force to the body
+    // Apply force to the body; a world-space point off the centre of mass also adds torque
     applyForce(force, point = null) {
         this.force.add(force);
+        if (point) {
+            this.torque.add(point.clone().sub(this.position).cross(force));
+        }
+    }
+
+    // Apply torque (world space, N·m) for the coming step
+    applyTorque(torque) {
+        this.torque.add(torque);
     }
 
-    // Apply impulse (instantaneous change in velocity)
+    // Apply impulse (instantaneous change in velocity, and in spin when off-centre)
     applyImpulse(impulse, point = null) {
         this.velocity.add(impulse.clone().multiplyScalar(1 / this.mass));
+
+        if (point && !this.fixedRotation) {
+            const angularImpulse = point.clone().sub(this.position).cross(impulse);
+            this.angularVelocity.add(angularImpulse.applyMatrix3(this.getWorldInverseInertia()));
+        }
     }
 
-    // Update physics for one time step
-    update(deltaTime) {
-        if (!this.isActive) return;
+    // Inertia tensor (body frame) from a matrix
+    setInertiaTensor(inertia) {
+        this.inertia.copy(inertia);
+        this.inverseInertia.copy(inertia).invert();
+    }
 
-        // Calculate acceleration from force: F = ma, so a = F/m
-        this.acceleration.copy(this.force).multiplyScalar(1 / this.mass);
+    // Solid box inertia: I = m/12 · (b² + c²) about each axis
+    setBoxInertia(size) {
+        this.shapeSize.copy(size);
+        const { x, y, z } = size;
+        const k = this.mass / 12;
+        this.setInertiaTensor(new THREE.Matrix3().set(
+            k * (y * y + z * z), 0, 0,
+            0, k * (x * x + z * z), 0,
+            0, 0, k * (x * x + y * y)
+        ));
+    }
+
+    // World-space tensors: R · I · Rᵀ
+    getWorldInertia() {
+        return this.rotateTensor(this.inertia);
+    }
+
+    getWorldInverseInertia() {
+        return this.rotateTensor(this.inverseInertia);
+    }
+
+    rotateTensor(tensor) {
+        const rotation = new THREE.Matrix3().setFromMatrix4(new THREE.Matrix4().makeRotationFromQuaternion(this.quaternion));
+        return rotation.clone().multiply(tensor).multiply(rotation.transpose());
+    }
+
+    // Body-frame point (offset from the centre of mass) in world space
+    getWorldPoint(localPoint) {
+        return localPoint.clone().applyQuaternion(this.quaternion).add(this.position);
+    }
+
+    // Register a state-dependent force (drag, wind, ...) that is re-sampled by the integrator
+    addForceGenerator(generator) {
+        if (!this.forceGenerators.includes(generator)) {
+            this.forceGenerators.push(generator);
+        }
+    }
+
+    // Remove a previously registered force generator
+    removeForceGenerator(generator) {
+        const index = this.forceGenerators.indexOf(generator);
+        if (index > -1) {
+            this.forceGenerators.splice(index, 1);
+        }
+    }
+
+    // a = F/m for a sampled state: applied forces + force generators + gravity + air resistance
+    computeAcceleration(position, velocity, timeOffset = 0) {
+        const totalForce = this.force.clone();
+        for (const generator of this.forceGenerators) {
+            totalForce.add(generator(position, velocity, timeOffset));
+        }
+
+        const acceleration = totalForce.multiplyScalar(1 / this.mass);
 
         // Add gravity
-        this.acceleration.y -= GRAVITY;
+        acceleration.y -= GRAVITY;
 
-        // Apply air resistance (proportional to velocity squared)
-        if (this.velocity.length() > 0.1) {
-            const airResistanceForce = this.velocity.clone()
+        // Apply air resistance (proportional to airspeed squared)
+        const airVelocity = this.windSampler ? velocity.clone().sub(this.windSampler(position)) : velocity;
+        if (airVelocity.length() > 0.1) {
+            const airResistanceForce = airVelocity.clone()
                 .normalize()
-                .multiplyScalar(-AIR_RESISTANCE * this.velocity.lengthSq());
-            this.acceleration.add(airResistanceForce.multiplyScalar(1 / this.mass));
+                .multiplyScalar(-AIR_RESISTANCE * this.airDensityRatio * airVelocity.lengthSq());
+            acceleration.add(airResistanceForce.multiplyScalar(1 / this.mass));
         }
 
-        // Update velocity: v = v₀ + at
-        this.velocity.add(this.acceleration.clone().multiplyScalar(deltaTime));
+        return acceleration;
+    }
+
+    // Update physics for one time step (time = simulated time at the start of the step)
+    update(deltaTime, time = 0) {
+        if (!this.isActive) return;
 
-        // Update position: x = x₀ + v₀t + ½at²
-        const positionChange = this.velocity.clone().multiplyScalar(deltaTime);
-        const accelerationChange = this.acceleration.clone().multiplyScalar(0.5 * deltaTime * deltaTime);
-        this.position.add(positionChange).add(accelerationChange);
+        // Advance position and velocity with the selected integrator
+        const initialAcceleration = integrate(
+            this.integrator,
+            this,
+            deltaTime,
+            (position, velocity, timeOffset) => this.computeAcceleration(position, velocity, timeOffset)
+        );
+        this.acceleration.copy(initialAcceleration);
 
         // Update quaternion if rotation is not fixed
         if (!this.fixedRotation) {
-            // Simple quaternion update (can be improved for more complex rotations)
-            const rotationChange = this.angularVelocity.clone().multiplyScalar(deltaTime);
-            // This is a simplified approach - in practice you'd use quaternion integration
+            this.integrateRotation(deltaTime);
         }
 
         // Update bounding box
@@ -90,54 +199,107 @@ export class CustomPhysicsBody {
         this.handleCollisions();
 
         // Update ground contact state
-        this.updateGroundContact();
+        this.updateGroundContact(time + deltaTime);
 
-        // Reset force for next frame
+        // Reset force and torque for next frame
         this.force.set(0, 0, 0);
+        this.torque.set(0, 0, 0);
+    }
+
+    // Euler's equations in world space, I·ω̇ = τ - ω × (I·ω), then q ← Δq(ω·dt) · q
+    integrateRotation(deltaTime) {
+        const angularMomentum = this.angularVelocity.clone().applyMatrix3(this.getWorldInertia());
+        const gyroscopicTorque = this.angularVelocity.clone().cross(angularMomentum);
+
+        this.angularAcceleration.copy(this.torque).sub(gyroscopicTorque).applyMatrix3(this.getWorldInverseInertia());
+        this.angularVelocity.addScaledVector(this.angularAcceleration, deltaTime);
+
+        const angle = this.angularVelocity.length() * deltaTime;
+        if (angle > 0) {
+            const rotation = new THREE.Quaternion().setFromAxisAngle(this.angularVelocity.clone().normalize(), angle);
+            this.quaternion.premultiply(rotation).normalize();
+        }
+    }
+
+    // Remember the state at the start of a fixed step (used for interpolation)
+    storePreviousState() {
+        this.previousPosition.copy(this.position);
+        this.previousQuaternion.copy(this.quaternion);
+    }
+
+    // Blend previous and current state for rendering: alpha = 0 -> previous, 1 -> current
+    interpolate(alpha) {
+        this.interpolatedPosition.copy(this.previousPosition).lerp(this.position, alpha);
+        this.interpolatedQuaternion.copy(this.previousQuaternion).slerp(this.quaternion, alpha);
+    }
+
+    // Snap the interpolation state to the current state (after teleports/resets)
+    syncInterpolation() {
+        this.storePreviousState();
+        this.interpolatedPosition.copy(this.position);
+        this.interpolatedQuaternion.copy(this.quaternion);
+    }
+
+    // Terrain height under the body (m)
+    getGroundHeight() {
+        return this.terrain ? this.terrain.getHeight(this.position.x, this.position.z) : 0;
+    }
+
+    // Upward unit normal of the ground under the body
+    getGroundNormal(target = new THREE.Vector3()) {
+        return this.terrain ? this.terrain.getNormal(this.position.x, this.position.z, target) : target.set(0, 1, 0);
     }
 
     // Handle collisions with ground and boundaries
     handleCollisions() {
-        // Ground collision
-        if (this.position.y < GROUND_LEVEL) {
-            this.position.y = GROUND_LEVEL;
-
-            // Bounce with energy loss (restitution)
-            if (this.velocity.y < 0) {
-                this.velocity.y = -this.velocity.y * RESTITUTION;
+        // Ground collision: the terrain height and slope under the body
+        const groundLevel = this.getGroundHeight() + GROUND_CLEARANCE;
+        if (this.position.y < groundLevel) {
+            this.position.y = groundLevel;
+
+            // Bounce off the slope with energy loss (restitution)
+            const normal = this.getGroundNormal();
+            const normalSpeed = this.velocity.dot(normal);
+            if (normalSpeed < 0) {
+                this.velocity.addScaledVector(normal, -(1 + RESTITUTION) * normalSpeed);
             }
 
-            // Apply friction to horizontal movement when on ground
+            // Apply friction to movement along the ground (and spin) when on ground
             if (this.onGround) {
-                this.velocity.x *= FRICTION;
-                this.velocity.z *= FRICTION;
+                const normalVelocity = normal.multiplyScalar(this.velocity.dot(normal));
+                this.velocity.sub(normalVelocity).multiplyScalar(FRICTION).add(normalVelocity);
+                this.angularVelocity.multiplyScalar(FRICTION);
             }
         }
 
-        // Boundary collisions
-        if (Math.abs(this.position.x) > BOUNDARY_X) {
-            this.position.x = Math.sign(this.position.x) * BOUNDARY_X;
+        // Boundary collisions: the flight box spans the terrain
+        const boundary = this.terrain ? this.terrain.size / 2 : BOUNDARY;
+        if (this.enforceBoundaries && Math.abs(this.position.x) > boundary) {
+            this.position.x = Math.sign(this.position.x) * boundary;
             this.velocity.x = -this.velocity.x * RESTITUTION; // Bounce back with energy loss
+            this.boundaryHits++;
         }
 
-        if (Math.abs(this.position.z) > BOUNDARY_Z) {
-            this.position.z = Math.sign(this.position.z) * BOUNDARY_Z;
+        if (this.enforceBoundaries && Math.abs(this.position.z) > boundary) {
+            this.position.z = Math.sign(this.position.z) * boundary;
             this.velocity.z = -this.velocity.z * RESTITUTION; // Bounce back with energy loss
+            this.boundaryHits++;
         }
 
-        // Stop movement if velocity is very small (prevent micro-movements)
-        if (this.velocity.length() < 0.1) {
+        // Stop movement if velocity is very small (prevent micro-movements on the ground;
+        // in the air a canopy can momentarily stall at near-zero speed)
+        if (this.onGround && this.velocity.length() < 0.1) {
             this.velocity.set(0, 0, 0);
         }
     }
 
     // Update ground contact state
-    updateGroundContact() {
-        const distanceToGround = this.position.y - GROUND_LEVEL;
+    updateGroundContact(time = 0) {
+        const distanceToGround = this.position.y - this.getGroundHeight() - GROUND_CLEARANCE;
         this.onGround = distanceToGround <= this.groundContactThreshold;
 
         if (this.onGround) {
-            this.lastGroundTime = Date.now();
+            this.lastGroundTime = time;
         }
     }
 
@@ -158,10 +320,14 @@ export class CustomPhysicsBody {
         this.acceleration.set(0, 0, 0);
         this.force.set(0, 0, 0);
         this.angularVelocity.set(0, 0, 0);
-        this.quaternion.identity();
+        this.angularAcceleration.set(0, 0, 0);
+        this.torque.set(0, 0, 0);
+        this.quaternion.copy(this.initialQuaternion);
         this.isActive = true;
         this.onGround = false;
         this.lastGroundTime = 0;
+        this.boundaryHits = 0;
+        this.syncInterpolation();
     }
 
     // Get current physics state
@@ -171,6 +337,9 @@ export class CustomPhysicsBody {
             velocity: this.velocity.clone(),
             acceleration: this.acceleration.clone(),
             force: this.force.clone(),
+            quaternion: this.quaternion.clone(),
+            angularVelocity: this.angularVelocity.clone(),
+            torque: this.torque.clone(),
             mass: this.mass,
             isActive: this.isActive,
             onGround: this.onGround
@@ -185,6 +354,14 @@ export class CustomPhysicsBody {
     // Set position directly
     setPosition(position) {
         this.position.copy(position);
+        this.syncInterpolation();
+    }
+
+    // Set orientation directly; it also becomes the orientation restored by reset()
+    setOrientation(quaternion) {
+        this.quaternion.copy(quaternion);
+        this.initialQuaternion.copy(quaternion);
+        this.syncInterpolation();
     }
 
     // Check if body is sleeping (inactive)
@@ -192,10 +369,9 @@ export class CustomPhysicsBody {
         return this.isActive ? 0 : 1; // 0 = awake, 1 = sleeping
     }
 
-    // Update mass properties (for when mass changes)
+    // Update mass properties (for when mass changes): the inertia scales with the mass
     updateMassProperties() {
-        // In custom physics, mass affects acceleration directly
-        // This method is called when mass changes to ensure proper scaling
+        this.setBoxInertia(this.shapeSize);
     }
 
     // Get kinetic energy
@@ -208,27 +384,160 @@ export class CustomPhysicsBody {
         return this.mass * GRAVITY * this.position.y;
     }
 
+    // Rotational kinetic energy: ½ · ω · (I·ω)
+    getRotationalEnergy() {
+        return 0.5 * this.angularVelocity.dot(this.angularVelocity.clone().applyMatrix3(this.getWorldInertia()));
+    }
+
     // Get total mechanical energy
     getTotalEnergy() {
-        return this.getKineticEnergy() + this.getPotentialEnergy();
+        return this.getKineticEnergy() + this.getRotationalEnergy() + this.getPotentialEnergy();
     }
 }
 
+// Elastic line between two bodies (suspension lines, bridles): a spring-damper that only
+// pulls. Slack below its length, T = k·stretch + c·stretch rate beyond it.
+// anchorA is the attachment point on bodyA in its body frame (the line then also turns it).
+// The pull is a force generator on both bodies, so the integrators re-evaluate it at every
+// stage: each body's sampled state against the other body's start-of-step state carried
+// forward over the stage's time offset.
+export class ElasticLine {
+    constructor(bodyA, bodyB, length, stiffness, damping = 0, anchorA = null) {
+        this.bodyA = bodyA;
+        this.bodyB = bodyB;
+        this.length = length;       // m, unstretched length
+        this.stiffness = stiffness; // N/m
+        this.damping = damping;     // N·s/m
+        this.anchorA = anchorA;
+
+        // Body states at the start of the step (the bodies are integrated one after the other)
+        this.startA = { position: bodyA.position.clone(), velocity: bodyA.velocity.clone() };
+        this.startB = { position: bodyB.position.clone(), velocity: bodyB.velocity.clone() };
+
+        this.forceOnA = (position, velocity, timeOffset) =>
+            this.calculateForce(position, velocity, predictPosition(this.startB, timeOffset), this.startB.velocity);
+        this.forceOnB = (position, velocity, timeOffset) =>
+            this.calculateForce(predictPosition(this.startA, timeOffset), this.startA.velocity, position, velocity).negate();
+    }
+
+    // World position of the attachment point on bodyA (at positionA, bodyA's current orientation)
+    getAnchorA(positionA = this.bodyA.position) {
+        return this.anchorA ? this.anchorA.clone().applyQuaternion(this.bodyA.quaternion).add(positionA) : positionA.clone();
+    }
+
+    // Current distance between the two attachment points
+    getDistance() {
+        return this.getAnchorA().distanceTo(this.bodyB.position);
+    }
+
+    // Stretch beyond the unstretched length (0 while slack)
+    getStretch() {
+        return Math.max(0, this.getDistance() - this.length);
+    }
+
+    // Force on bodyA (toward bodyB) for sampled states, the current ones by default;
+    // bodyB gets the opposite force
+    calculateForce(positionA = this.bodyA.position, velocityA = this.bodyA.velocity,
+        positionB = this.bodyB.position, velocityB = this.bodyB.velocity) {
+        const direction = positionB.clone().sub(this.getAnchorA(positionA));
+        const distance = direction.length();
+        if (distance <= this.length || distance === 0) return new THREE.Vector3();
+
+        direction.multiplyScalar(1 / distance);
+        const stretchRate = velocityB.clone().sub(velocityA).dot(direction);
+        const tension = Math.max(0, this.stiffness * (distance - this.length) + this.damping * stretchRate);
+
+        return direction.multiplyScalar(tension);
+    }
+
+    // Line tension magnitude (N)
+    getTension() {
+        return this.calculateForce().length();
+    }
+
+    // Register the line forces with both bodies (world.addConstraint)
+    attach() {
+        this.storeStartState();
+        this.bodyA.addForceGenerator(this.forceOnA);
+        this.bodyB.addForceGenerator(this.forceOnB);
+    }
+
+    // Unregister the line forces (world.removeConstraint)
+    detach() {
+        this.bodyA.removeForceGenerator(this.forceOnA);
+        this.bodyB.removeForceGenerator(this.forceOnB);
+    }
+
+    // Start of a step: remember both states; an off-centre anchor also turns bodyA
+    apply() {
+        this.storeStartState();
+        if (this.anchorA) {
+            const anchor = this.getAnchorA();
+            this.bodyA.applyTorque(anchor.clone().sub(this.bodyA.position).cross(this.calculateForce()));
+        }
+    }
+
+    // End of a step: forces sampled between steps see both bodies where they are now
+    endStep() {
+        this.storeStartState();
+    }
+
+    storeStartState() {
+        this.startA.position.copy(this.bodyA.position);
+        this.startA.velocity.copy(this.bodyA.velocity);
+        this.startB.position.copy(this.bodyB.position);
+        this.startB.velocity.copy(this.bodyB.velocity);
+    }
+}
+
+// Position of a stored body state carried forward at its velocity
+function predictPosition(state, timeOffset) {
+    return state.position.clone().addScaledVector(state.velocity, timeOffset);
+}
+
 // Custom physics world to replace Cannon.js world
+// The world advances in fixed steps: rendered frame time is collected in an
+// accumulator and consumed in steps of fixedTimeStep, so the trajectory does not
+// depend on the frame rate. Leftover time is used to interpolate body transforms.
+// Simulated time comes from the world's SimulationClock (pause, single step, speed).
 export class CustomPhysicsWorld {
-    constructor() {
+    constructor(physicsHz = DEFAULT_PHYSICS_HZ) {
         this.bodies = [];
         this.gravity = new THREE.Vector3(0, -GRAVITY, 0);
         this.defaultContactMaterial = {
             friction: FRICTION,
             restitution: RESTITUTION
         };
-        this.time = 0;
-        this.subSteps = 1; // Number of physics substeps per frame
+
+        // Central simulation clock read by every module
+        this.clock = new SimulationClock();
+
+        // Fixed timestep settings
+        this.fixedTimeStep = 1 / physicsHz;
+        this.maxSubSteps = DEFAULT_MAX_SUBSTEPS;
+        this.maxFrameTime = MAX_FRAME_TIME;
+        this.accumulator = 0;
+        this.interpolationAlpha = 0;
+        this.stepCount = 0;
+        this.droppedTime = 0; // Simulated time discarded by the spiral-of-death guard
+
+        // Callbacks run at the start of every fixed step: (fixedDelta, time) => {}
+        this.stepListeners = [];
+
+        // Constraints joining bodies (ElasticLine, ...), started after the step listeners
+        this.constraints = [];
+
+        // Numerical integrator shared by every body in the world
+        this.integrator = IntegratorType.SEMI_IMPLICIT_EULER;
+
+        // Ground every body collides with (see terrain.js)
+        this.terrain = Terrain.flat();
     }
 
     // Add a body to the physics world
     addBody(body) {
+        body.integrator = this.integrator;
+        body.terrain = this.terrain;
         this.bodies.push(body);
     }
 
@@ -240,19 +549,151 @@ export class CustomPhysicsWorld {
         }
     }
 
-    // Step the physics world forward in time
-    step(deltaTime) {
-        this.time += deltaTime;
+    // Register a callback that applies forces / updates logic every fixed step
+    addStepListener(listener) {
+        this.stepListeners.push(listener);
+    }
 
-        // Use substeps for more stable physics
-        const subStepDelta = deltaTime / this.subSteps;
+    // Remove a fixed step callback
+    removeStepListener(listener) {
+        const index = this.stepListeners.indexOf(listener);
+        if (index > -1) {
+            this.stepListeners.splice(index, 1);
+        }
+    }
 
-        for (let i = 0; i < this.subSteps; i++) {
-            // Update all bodies
+    // Add a constraint: apply() runs before each step and endStep() after it; attach() and
+    // detach(), when present, register its force generators with the bodies
+    addConstraint(constraint) {
+        if (!this.constraints.includes(constraint)) {
+            this.constraints.push(constraint);
+            if (constraint.attach) constraint.attach();
+        }
+    }
+
+    // Remove a constraint
+    removeConstraint(constraint) {
+        const index = this.constraints.indexOf(constraint);
+        if (index > -1) {
+            this.constraints.splice(index, 1);
+            if (constraint.detach) constraint.detach();
+        }
+    }
+
+    // Select the numerical integrator for all bodies (see IntegratorType)
+    setIntegrator(type) {
+        if (!Object.values(IntegratorType).includes(type)) {
+            console.warn('Unknown integrator:', type);
+            return;
+        }
+
+        this.integrator = type;
+        for (const body of this.bodies) {
+            body.integrator = type;
+        }
+        console.log('Integrator set to:', type);
+    }
+
+    // Ground height field for every body (Terrain.flat() for the flat drop zone)
+    setTerrain(terrain) {
+        this.terrain = terrain;
+        for (const body of this.bodies) {
+            body.terrain = terrain;
+        }
+    }
+
+    // Set the physics rate in steps per second
+    setFixedRate(hz) {
+        this.fixedTimeStep = 1 / Math.max(1, hz);
+        this.accumulator = 0;
+    }
+
+    // Get the physics rate in steps per second
+    getFixedRate() {
+        return 1 / this.fixedTimeStep;
+    }
+
+    // Simulated time in seconds
+    get time() {
+        return this.clock.now();
+    }
+
+    // Advance the world by one fixed step
+    fixedStep(deltaTime) {
+        for (const body of this.bodies) {
+            body.storePreviousState();
+        }
+
+        // Let force generators (parachute, wind, ...) act on the bodies
+        for (const listener of this.stepListeners) {
+            listener(deltaTime, this.time);
+        }
+
+        for (const constraint of this.constraints) {
+            constraint.apply(deltaTime);
+        }
+
+        for (const body of this.bodies) {
+            body.update(deltaTime, this.time);
+        }
+
+        for (const constraint of this.constraints) {
+            if (constraint.endStep) constraint.endStep();
+        }
+
+        this.clock.tick(deltaTime);
+        this.stepCount++;
+    }
+
+    // Step the physics world forward by a rendered frame's (real) delta time.
+    // Returns the number of fixed steps taken.
+    step(deltaTime) {
+        // Clamp huge deltas (tab switches, breakpoints) instead of integrating them
+        const frameTime = Math.min(Math.max(deltaTime, 0), this.maxFrameTime);
+
+        // Paused: only take explicitly requested single steps
+        if (this.clock.paused) {
+            let steps = 0;
+            while (this.clock.consumeStep()) {
+                this.fixedStep(this.fixedTimeStep);
+                steps++;
+            }
+            this.clock.lastDelta = steps * this.fixedTimeStep;
+            this.interpolationAlpha = 1;
             for (const body of this.bodies) {
-                body.update(subStepDelta);
+                body.interpolate(this.interpolationAlpha);
             }
+            return steps;
         }
+
+        const simulatedTime = this.clock.scaleFrameTime(frameTime);
+        this.clock.lastDelta = simulatedTime;
+        this.accumulator += simulatedTime;
+
+        // Fast-forward needs proportionally more steps per frame
+        const maxSteps = this.maxSubSteps * Math.max(1, Math.ceil(this.clock.timeScale));
+
+        let steps = 0;
+        while (this.accumulator >= this.fixedTimeStep && steps < maxSteps) {
+            this.fixedStep(this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
+            steps++;
+        }
+
+        // Still behind after maxSteps: drop the backlog rather than trying to catch up
+        if (this.accumulator >= this.fixedTimeStep) {
+            const remainder = this.accumulator % this.fixedTimeStep;
+            this.droppedTime += this.accumulator - remainder;
+            this.accumulator = remainder;
+        }
+
+        // Interpolate render transforms between the last two physics states
+        this.interpolationAlpha = this.accumulator / this.fixedTimeStep;
+        for (const body of this.bodies) {
+            body.interpolate(this.interpolationAlpha);
+        }
+
+        return steps;
     }
 
     // Set gravity
@@ -274,7 +715,14 @@ export class CustomPhysicsWorld {
     getStats() {
         return {
             bodyCount: this.bodies.length,
+            constraintCount: this.constraints.length,
             time: this.time,
+            stepCount: this.stepCount,
+            paused: this.clock.paused,
+            timeScale: this.clock.timeScale,
+            physicsHz: this.getFixedRate(),
+            integrator: this.integrator,
+            droppedTime: this.droppedTime,
             activeBodies: this.bodies.filter(b => b.isActive).length
         };
     }
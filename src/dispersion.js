@@ -0,0 +1,180 @@
+import { runJump } from "./simulationRunner.js";
+import { SeededRandom, sampleDistribution } from "./random.js";
+
+// Monte Carlo landing dispersion
+// Samples wind, jumper mass, deployment altitude and canopy drag coefficients,
+// runs a headless jump for each sample and summarises the landing scatter.
+
+// χ² value for 2 degrees of freedom at 95% (scales the covariance ellipse)
+const CHI_SQUARED_95_2DOF = 5.991;
+
+export const DEFAULT_DISPERSION_CONFIG = {
+    runs: 200,
+    seed: 12345,
+    // Base scenario for every run (see DEFAULT_SCENARIO in simulationRunner.js)
+    scenario: {
+        physicsHz: 60,
+        enforceBoundaries: false
+    },
+    // Distribution specs understood by sampleDistribution()
+    distributions: {
+        windStrength: { type: 'normal', mean: 5, stdDev: 1.5, min: 0 },         // m/s
+        windDirection: { type: 'normal', mean: 90, stdDev: 20 },               // degrees
+        mass: { type: 'normal', mean: 80, stdDev: 8, min: 50, max: 120 },      // kg
+        deployAltitude: { type: 'uniform', min: 250, max: 350 },               // m
+        dragCoeffVertical: { type: 'normal', mean: 1.75, stdDev: 0.1, min: 0.5 },
+        dragCoeffHorizontal: { type: 'normal', mean: 1.2, stdDev: 0.1, min: 0.5 }
+    }
+};
+
+// Merge a user config over the defaults (distributions are merged per parameter)
+export function normalizeDispersionConfig(config = {}) {
+    return {
+        ...DEFAULT_DISPERSION_CONFIG,
+        ...config,
+        scenario: { ...DEFAULT_DISPERSION_CONFIG.scenario, ...(config.scenario || {}) },
+        distributions: { ...DEFAULT_DISPERSION_CONFIG.distributions, ...(config.distributions || {}) }
+    };
+}
+
+// Draw the scenario for one run
+export function sampleDispersionScenario(config, random) {
+    const { distributions } = config;
+    const turbulent = config.scenario.turbulence && config.scenario.turbulence !== 'none';
+
+    return {
+        ...config.scenario,
+        // Each run flies through its own gusts
+        ...(turbulent ? { turbulenceSeed: Math.floor(random.next() * 0x7fffffff) } : {}),
+        mass: sampleDistribution(distributions.mass, random),
+        deployAltitude: sampleDistribution(distributions.deployAltitude, random),
+        dragCoeffVertical: sampleDistribution(distributions.dragCoeffVertical, random),
+        dragCoeffHorizontal: sampleDistribution(distributions.dragCoeffHorizontal, random),
+        wind: {
+            strength: sampleDistribution(distributions.windStrength, random),
+            direction: sampleDistribution(distributions.windDirection, random)
+        }
+    };
+}
+
+// Run one sampled jump and return its landing record
+function runDispersionJump(config, random, index) {
+    const scenario = sampleDispersionScenario(config, random);
+    const { summary } = runJump(scenario, { recordTelemetry: false });
+
+    return {
+        run: index,
+        x: summary.landingPosition.x,
+        z: summary.landingPosition.z,
+        landed: summary.landed,
+        flightTime: summary.flightTime,
+        touchdownSpeed: summary.touchdownVelocity.length(),
+        landingOutcome: summary.landing ? summary.landing.outcome : '',
+        mass: scenario.mass,
+        deployAltitude: scenario.deployAltitude,
+        windStrength: scenario.wind.strength,
+        windDirection: scenario.wind.direction,
+        dragCoeffVertical: scenario.dragCoeffVertical,
+        dragCoeffHorizontal: scenario.dragCoeffHorizontal
+    };
+}
+
+// Run the Monte Carlo analysis. onProgress(completed, total) is called after each run.
+export function runDispersion(configInput = {}, onProgress = null) {
+    const config = normalizeDispersionConfig(configInput);
+    const random = new SeededRandom(config.seed);
+    const landings = [];
+
+    for (let i = 0; i < config.runs; i++) {
+        landings.push(runDispersionJump(config, random, i));
+        if (onProgress) onProgress(i + 1, config.runs);
+    }
+
+    return {
+        config,
+        landings,
+        statistics: calculateLandingStatistics(landings)
+    };
+}
+
+// Same as runDispersion but yields to the event loop between runs (keeps the browser responsive)
+export async function runDispersionAsync(configInput = {}, onProgress = null) {
+    const config = normalizeDispersionConfig(configInput);
+    const random = new SeededRandom(config.seed);
+    const landings = [];
+
+    for (let i = 0; i < config.runs; i++) {
+        landings.push(runDispersionJump(config, random, i));
+        if (onProgress) onProgress(i + 1, config.runs);
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    return {
+        config,
+        landings,
+        statistics: calculateLandingStatistics(landings)
+    };
+}
+
+// Mean point, CEP (50% circle around the mean) and 95% covariance ellipse of landing points {x, z}
+export function calculateLandingStatistics(points) {
+    const count = points.length;
+    if (count === 0) {
+        return { count: 0, mean: { x: 0, z: 0 }, cep: 0, ellipse95: null, maxRadius: 0 };
+    }
+
+    const mean = {
+        x: points.reduce((sum, p) => sum + p.x, 0) / count,
+        z: points.reduce((sum, p) => sum + p.z, 0) / count
+    };
+
+    // Radial miss distances from the mean point
+    const radii = points
+        .map(p => Math.hypot(p.x - mean.x, p.z - mean.z))
+        .sort((a, b) => a - b);
+    const cep = median(radii);
+
+    // Sample covariance (n - 1)
+    let sxx = 0, szz = 0, sxz = 0;
+    points.forEach(p => {
+        const dx = p.x - mean.x;
+        const dz = p.z - mean.z;
+        sxx += dx * dx;
+        szz += dz * dz;
+        sxz += dx * dz;
+    });
+    const divisor = Math.max(1, count - 1);
+    const covariance = { xx: sxx / divisor, zz: szz / divisor, xz: sxz / divisor };
+
+    return {
+        count,
+        mean,
+        stdDev: { x: Math.sqrt(covariance.xx), z: Math.sqrt(covariance.zz) },
+        covariance,
+        cep,
+        ellipse95: covarianceEllipse(covariance, CHI_SQUARED_95_2DOF),
+        maxRadius: radii[radii.length - 1]
+    };
+}
+
+// Eigen-decomposition of the 2x2 covariance -> semi-axes and rotation (radians from +x toward +z)
+function covarianceEllipse(covariance, chiSquared) {
+    const { xx, zz, xz } = covariance;
+    const trace = xx + zz;
+    const determinantTerm = Math.sqrt(Math.max(0, ((xx - zz) / 2) ** 2 + xz * xz));
+    const lambdaMajor = trace / 2 + determinantTerm;
+    const lambdaMinor = Math.max(0, trace / 2 - determinantTerm);
+
+    return {
+        semiMajor: Math.sqrt(chiSquared * lambdaMajor),
+        semiMinor: Math.sqrt(chiSquared * lambdaMinor),
+        angle: 0.5 * Math.atan2(2 * xz, xx - zz)
+    };
+}
+
+function median(sortedValues) {
+    const middle = Math.floor(sortedValues.length / 2);
+    return sortedValues.length % 2 === 0
+        ? (sortedValues[middle - 1] + sortedValues[middle]) / 2
+        : sortedValues[middle];
+}
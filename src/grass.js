@@ -1,25 +1,66 @@
 import * as THREE from "three";
-import { CustomPhysicsBody } from "./customPhysics.js";
-
-export function addGrassFloor(scene, world) {
+import { TERRAIN_RESOLUTION, TERRAIN_SIZE, createTerrainFromHeightmap } from "./terrain.js";
 
+// Grass terrain of the drop zone: a plane displaced by the heightmap, whose Terrain also becomes
+// the ground of the physics world (see terrain.js). The ground stays flat until the heightmap has
+// loaded; onTerrain is called once it is in place (or failed to load), so objects standing on the
+// ground can be placed on it.
+const HEIGHTMAP_URL = '/textures/grass/displacement.jpg';
+const TEXTURE_REPEAT = 40;
 
+export function addGrassFloor(scene, world, onTerrain = () => {}) {
   const loader = new THREE.TextureLoader();
-  const grassTexture = loader.load('/textures/grass/doubleGrass.jpg');
-  grassTexture.wrapS = THREE.RepeatWrapping;
-  grassTexture.wrapT = THREE.RepeatWrapping;
-  grassTexture.repeat.set(10, 10);
-  // grassTexture.anisotropy = 16;
-  const grassMaterial = new THREE.MeshBasicMaterial({ color: 0x00ff00, map: grassTexture, side: THREE.DoubleSide });
-  const grassGeometry = new THREE.PlaneGeometry(1200, 1200);
+  const loadGrassTexture = (name) => {
+    const texture = loader.load(`/textures/grass/${name}.jpg`);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.set(TEXTURE_REPEAT, TEXTURE_REPEAT);
+    return texture;
+  };
+
+  const grassMaterial = new THREE.MeshStandardMaterial({
+    map: loadGrassTexture('color'),
+    normalMap: loadGrassTexture('normal'),
+    aoMap: loadGrassTexture('ambientOcclusion'),
+    roughnessMap: loadGrassTexture('roughness'),
+    side: THREE.DoubleSide
+  });
+  // One vertex per terrain sample
+  const grassGeometry = new THREE.PlaneGeometry(TERRAIN_SIZE, TERRAIN_SIZE, TERRAIN_RESOLUTION - 1, TERRAIN_RESOLUTION - 1);
+  grassGeometry.setAttribute('uv2', grassGeometry.attributes.uv); // for the aoMap
   const grass = new THREE.Mesh(grassGeometry, grassMaterial);
   grass.rotation.set(-Math.PI * 0.5, 0, 0)
   scene.add(grass);
 
+  new THREE.ImageLoader().load(HEIGHTMAP_URL, (image) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+    const pixels = context.getImageData(0, 0, image.width, image.height).data;
+
+    const terrain = createTerrainFromHeightmap(pixels, image.width, image.height);
+    applyTerrain(grassGeometry, terrain);
+    world.setTerrain(terrain);
+    onTerrain(terrain);
+  }, undefined, (error) => {
+    console.warn('Heightmap failed to load, keeping flat ground:', error);
+    onTerrain(world.terrain);
+  });
 
-  // Ground physics - using custom physics for static ground
-  // Note: In custom physics, we handle ground collision in the physics body itself
-  // The ground is represented as a collision boundary at y=0
+  // Returned so overlays (landing heat map) can be attached to the grass plane
+  return grass
+}
 
-  return scene
-} 
\ No newline at end of file
+// Displace the plane's vertices to the terrain heights. The plane is rotated -90° about X, so
+// local (x, y, z) is world (x, -z, y).
+function applyTerrain(geometry, terrain) {
+  const positions = geometry.attributes.position;
+  for (let i = 0; i < positions.count; i++) {
+    positions.setZ(i, terrain.getHeight(positions.getX(i), -positions.getY(i)));
+  }
+  positions.needsUpdate = true;
+  geometry.computeVertexNormals();
+  geometry.computeBoundingSphere();
+}
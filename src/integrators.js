@@ -0,0 +1,93 @@
+import * as THREE from "three";
+
+// Numerical integrators for CustomPhysicsBody
+// Every integrator advances { position, velocity } in place over one time step.
+// accelerationAt(position, velocity, timeOffset) returns the acceleration for a
+// sampled state, so velocity-dependent forces (drag, wind) are re-evaluated at
+// every stage instead of being frozen at the start of the step.
+export const IntegratorType = {
+    SEMI_IMPLICIT_EULER: 'semi-implicit-euler',
+    VELOCITY_VERLET: 'velocity-verlet',
+    RK4: 'rk4'
+};
+
+export const INTEGRATOR_NAMES = {
+    [IntegratorType.SEMI_IMPLICIT_EULER]: 'Semi-implicit Euler',
+    [IntegratorType.VELOCITY_VERLET]: 'Velocity Verlet',
+    [IntegratorType.RK4]: 'Runge-Kutta 4'
+};
+
+// v = v₀ + a·dt, then x = x₀ + v·dt (uses the updated velocity)
+function integrateSemiImplicitEuler(state, dt, accelerationAt) {
+    const a0 = accelerationAt(state.position, state.velocity, 0);
+
+    state.velocity.addScaledVector(a0, dt);
+    state.position.addScaledVector(state.velocity, dt);
+
+    return a0;
+}
+
+// x = x₀ + v₀·dt + ½·a₀·dt², v = v₀ + ½·(a₀ + a₁)·dt
+// a₁ is sampled at the new position with a predicted velocity because drag depends on v
+function integrateVelocityVerlet(state, dt, accelerationAt) {
+    const a0 = accelerationAt(state.position, state.velocity, 0);
+
+    state.position
+        .addScaledVector(state.velocity, dt)
+        .addScaledVector(a0, 0.5 * dt * dt);
+
+    const predictedVelocity = state.velocity.clone().addScaledVector(a0, dt);
+    const a1 = accelerationAt(state.position, predictedVelocity, dt);
+
+    state.velocity.addScaledVector(a0.clone().add(a1), 0.5 * dt);
+
+    return a0;
+}
+
+// Classic 4th order Runge-Kutta on the state (x, v) with derivative (v, a)
+function integrateRK4(state, dt, accelerationAt) {
+    const x0 = state.position.clone();
+    const v0 = state.velocity.clone();
+
+    const k1v = accelerationAt(x0, v0, 0);
+    const k1x = v0.clone();
+
+    const x2 = x0.clone().addScaledVector(k1x, 0.5 * dt);
+    const v2 = v0.clone().addScaledVector(k1v, 0.5 * dt);
+    const k2v = accelerationAt(x2, v2, 0.5 * dt);
+    const k2x = v2;
+
+    const x3 = x0.clone().addScaledVector(k2x, 0.5 * dt);
+    const v3 = v0.clone().addScaledVector(k2v, 0.5 * dt);
+    const k3v = accelerationAt(x3, v3, 0.5 * dt);
+    const k3x = v3;
+
+    const x4 = x0.clone().addScaledVector(k3x, dt);
+    const v4 = v0.clone().addScaledVector(k3v, dt);
+    const k4v = accelerationAt(x4, v4, dt);
+    const k4x = v4;
+
+    // y = y₀ + dt/6 · (k1 + 2k2 + 2k3 + k4)
+    state.position.addScaledVector(
+        new THREE.Vector3().add(k1x).addScaledVector(k2x, 2).addScaledVector(k3x, 2).add(k4x),
+        dt / 6
+    );
+    state.velocity.addScaledVector(
+        new THREE.Vector3().add(k1v).addScaledVector(k2v, 2).addScaledVector(k3v, 2).add(k4v),
+        dt / 6
+    );
+
+    return k1v;
+}
+
+const INTEGRATORS = {
+    [IntegratorType.SEMI_IMPLICIT_EULER]: integrateSemiImplicitEuler,
+    [IntegratorType.VELOCITY_VERLET]: integrateVelocityVerlet,
+    [IntegratorType.RK4]: integrateRK4
+};
+
+// Advance state by dt with the chosen integrator, returns the acceleration at the start of the step
+export function integrate(type, state, dt, accelerationAt) {
+    const integrator = INTEGRATORS[type] || INTEGRATORS[IntegratorType.SEMI_IMPLICIT_EULER];
+    return integrator(state, dt, accelerationAt);
+}
@@ -0,0 +1,155 @@
+// Landing impact assessment
+// Classifies a touchdown from its vertical and horizontal speed against per-jumper
+// thresholds. On a slope these are the speeds into and along the ground.
+
+export const LandingOutcome = {
+    STAND_UP: 'stand-up',
+    PLF: 'plf',
+    HARD: 'hard-landing',
+    INJURY_RISK: 'injury-risk'
+};
+
+export const LANDING_OUTCOME_NAMES = {
+    [LandingOutcome.STAND_UP]: 'Stand-up landing',
+    [LandingOutcome.PLF]: 'PLF required',
+    [LandingOutcome.HARD]: 'Hard landing',
+    [LandingOutcome.INJURY_RISK]: 'Injury risk'
+};
+
+// Speed limits (m/s) for each outcome; anything above the hard-landing limits is an injury risk.
+// stoppingDistance is how far the body travels while absorbing the vertical speed (legs / PLF).
+export const JUMPER_PROFILES = {
+    student: {
+        id: 'student',
+        name: 'Student',
+        stoppingDistance: 0.3,          // m
+        limits: {
+            [LandingOutcome.STAND_UP]: { vertical: 3.0, horizontal: 3.0 },
+            [LandingOutcome.PLF]: { vertical: 5.5, horizontal: 6.0 },
+            [LandingOutcome.HARD]: { vertical: 7.0, horizontal: 11.0 }
+        }
+    },
+    experienced: {
+        id: 'experienced',
+        name: 'Experienced',
+        stoppingDistance: 0.4,
+        limits: {
+            [LandingOutcome.STAND_UP]: { vertical: 3.5, horizontal: 8.0 },
+            [LandingOutcome.PLF]: { vertical: 6.0, horizontal: 10.0 },
+            [LandingOutcome.HARD]: { vertical: 7.5, horizontal: 14.0 }
+        }
+    },
+    tandem: {
+        id: 'tandem',
+        name: 'Tandem pair',
+        stoppingDistance: 0.3,
+        limits: {
+            [LandingOutcome.STAND_UP]: { vertical: 2.5, horizontal: 4.0 },
+            [LandingOutcome.PLF]: { vertical: 5.0, horizontal: 6.0 },
+            [LandingOutcome.HARD]: { vertical: 6.5, horizontal: 10.0 }
+        }
+    }
+};
+
+export const DEFAULT_JUMPER_PROFILE_ID = 'student';
+
+// Outcomes from best to worst, checked in this order
+const OUTCOME_ORDER = [LandingOutcome.STAND_UP, LandingOutcome.PLF, LandingOutcome.HARD];
+
+// Copy of a jumper profile by id (or a spec object), null if unknown
+export function getJumperProfile(idOrSpec) {
+    const spec = typeof idOrSpec === 'string' ? JUMPER_PROFILES[idOrSpec] : idOrSpec;
+    if (!spec) return null;
+
+    const limits = {};
+    OUTCOME_ORDER.forEach(outcome => {
+        limits[outcome] = { ...spec.limits[outcome] };
+    });
+    return { ...spec, limits };
+}
+
+// { 'Display name': id } for GUI dropdowns
+export function getJumperProfileOptions() {
+    const options = {};
+    Object.values(JUMPER_PROFILES).forEach(profile => {
+        options[profile.name] = profile.id;
+    });
+    return options;
+}
+
+// Touchdown velocity (THREE.Vector3 or [x, y, z]), jumper mass and the upward unit normal of the
+// ground (same forms, level ground by default) -> landing report
+export function assessLanding(velocity, mass, profile = getJumperProfile(DEFAULT_JUMPER_PROFILE_ID), groundNormal = [0, 1, 0]) {
+    const [vx, vy, vz] = Array.isArray(velocity) ? velocity : [velocity.x, velocity.y, velocity.z];
+    const [nx, ny, nz] = Array.isArray(groundNormal) ? groundNormal : [groundNormal.x, groundNormal.y, groundNormal.z];
+
+    // Split the velocity into the part into the ground and the part along it
+    const normalSpeed = vx * nx + vy * ny + vz * nz;
+    const tx = vx - normalSpeed * nx;
+    const ty = vy - normalSpeed * ny;
+    const tz = vz - normalSpeed * nz;
+    const verticalSpeed = Math.max(0, -normalSpeed);
+    const horizontalSpeed = Math.sqrt(tx * tx + ty * ty + tz * tz);
+
+    // Estimate, not a measurement: the ground collision stops the body within one physics step, so
+    // the peak is taken from a constant-deceleration stop over the profile's stopping distance
+    const peakDeceleration = verticalSpeed * verticalSpeed / (2 * profile.stoppingDistance);
+
+    const outcome = OUTCOME_ORDER.find(candidate => {
+        const limit = profile.limits[candidate];
+        return verticalSpeed <= limit.vertical && horizontalSpeed <= limit.horizontal;
+    }) || LandingOutcome.INJURY_RISK;
+
+    return {
+        outcome,
+        outcomeName: LANDING_OUTCOME_NAMES[outcome],
+        profile: profile.id,
+        verticalSpeed,
+        horizontalSpeed,
+        slope: Math.acos(Math.min(1, ny)) * 180 / Math.PI,    // degrees
+        peakDeceleration,                                   // m/s², estimated
+        peakDecelerationG: peakDeceleration / 9.81,
+        impactEnergy: 0.5 * mass * (verticalSpeed * verticalSpeed + horizontalSpeed * horizontalSpeed), // J
+        verticalImpactEnergy: 0.5 * mass * verticalSpeed * verticalSpeed
+    };
+}
+
+// Watches a physics body each step and assesses the first ground contact after flight
+export class LandingMonitor {
+    constructor(profile = getJumperProfile(DEFAULT_JUMPER_PROFILE_ID)) {
+        this.profile = profile;
+        this.lastAirborneVelocity = null;
+        this.report = null;
+    }
+
+    setProfile(idOrSpec) {
+        const profile = getJumperProfile(idOrSpec);
+        if (!profile) {
+            console.warn('Unknown jumper profile:', idOrSpec);
+            return false;
+        }
+        this.profile = profile;
+        return true;
+    }
+
+    // Call once per physics step; returns the report on the touchdown step, otherwise null
+    update(body) {
+        if (this.report) return null;
+
+        if (!body.onGround) {
+            // The ground collision zeroes the velocity, so keep the last one in the air
+            this.lastAirborneVelocity = body.velocity.clone();
+            return null;
+        }
+        if (!this.lastAirborneVelocity) return null;
+
+        const groundNormal = body.getGroundNormal ? body.getGroundNormal() : undefined;
+        this.report = assessLanding(this.lastAirborneVelocity, body.mass, this.profile, groundNormal);
+        return this.report;
+    }
+
+    reset() {
+        this.lastAirborneVelocity = null;
+        this.report = null;
+    }
+}
@@ -0,0 +1,164 @@
+import * as THREE from "three";
+
+// Heat map of landing points drawn on the grass plane from addGrassFloor
+// The overlay is a child of the grass mesh and shares its geometry, so it follows the terrain.
+const TEXTURE_SIZE = 512;
+const SPLAT_RADIUS = 18;   // m, Gaussian splat radius per landing point
+
+export class LandingHeatmap {
+    constructor(groundMesh, groundSize = 1200) {
+        this.groundMesh = groundMesh;
+        this.groundSize = groundSize;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = TEXTURE_SIZE;
+        this.canvas.height = TEXTURE_SIZE;
+        this.context = this.canvas.getContext('2d');
+
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        const material = new THREE.MeshBasicMaterial({
+            map: this.texture,
+            transparent: true,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+
+        this.mesh = new THREE.Mesh(groundMesh.geometry, material);
+        this.mesh.position.z = 0.1; // Slightly above the grass (local +z is world up)
+        this.mesh.renderOrder = 1;
+        this.mesh.visible = false;
+        this.groundMesh.add(this.mesh);
+    }
+
+    // World (x, z) to canvas pixels. The grass plane is rotated -90° about X,
+    // so world -z is the top of the texture.
+    worldToCanvas(x, z) {
+        const scale = TEXTURE_SIZE / this.groundSize;
+        return {
+            x: (x + this.groundSize / 2) * scale,
+            y: (z + this.groundSize / 2) * scale
+        };
+    }
+
+    // Draw landing points ({x, z}) and, optionally, the dispersion statistics
+    setLandings(points, statistics = null) {
+        const ctx = this.context;
+        const scale = TEXTURE_SIZE / this.groundSize;
+
+        // Accumulate density in the alpha channel
+        const density = document.createElement('canvas');
+        density.width = TEXTURE_SIZE;
+        density.height = TEXTURE_SIZE;
+        const densityContext = density.getContext('2d');
+        const radius = SPLAT_RADIUS * scale;
+
+        points.forEach(point => {
+            const { x, y } = this.worldToCanvas(point.x, point.z);
+            const gradient = densityContext.createRadialGradient(x, y, 0, x, y, radius);
+            gradient.addColorStop(0, 'rgba(0, 0, 0, 0.25)');
+            gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+            densityContext.fillStyle = gradient;
+            densityContext.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+        });
+
+        // Colourise: density -> blue / green / yellow / red
+        const image = densityContext.getImageData(0, 0, TEXTURE_SIZE, TEXTURE_SIZE);
+        const data = image.data;
+        for (let i = 0; i < data.length; i += 4) {
+            const value = data[i + 3] / 255;
+            if (value === 0) continue;
+
+            const [r, g, b] = heatColor(value);
+            data[i] = r;
+            data[i + 1] = g;
+            data[i + 2] = b;
+            data[i + 3] = Math.min(255, 80 + value * 175);
+        }
+
+        ctx.clearRect(0, 0, TEXTURE_SIZE, TEXTURE_SIZE);
+        ctx.putImageData(image, 0, 0);
+
+        if (statistics && statistics.count > 0) {
+            this.drawStatistics(statistics);
+        }
+
+        this.texture.needsUpdate = true;
+        this.show();
+    }
+
+    // Mean point, CEP circle and 95% ellipse
+    drawStatistics(statistics) {
+        const ctx = this.context;
+        const scale = TEXTURE_SIZE / this.groundSize;
+        const center = this.worldToCanvas(statistics.mean.x, statistics.mean.z);
+
+        ctx.lineWidth = 2;
+
+        // CEP (50%)
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, statistics.cep * scale, 0, Math.PI * 2);
+        ctx.stroke();
+
+        // 95% ellipse (canvas y grows with world z, so the angle carries over)
+        if (statistics.ellipse95) {
+            ctx.strokeStyle = 'rgba(255, 60, 60, 0.9)';
+            ctx.beginPath();
+            ctx.ellipse(
+                center.x, center.y,
+                Math.max(statistics.ellipse95.semiMajor * scale, 1),
+                Math.max(statistics.ellipse95.semiMinor * scale, 1),
+                statistics.ellipse95.angle,
+                0, Math.PI * 2
+            );
+            ctx.stroke();
+        }
+
+        // Mean point
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, 3, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    clear() {
+        this.context.clearRect(0, 0, TEXTURE_SIZE, TEXTURE_SIZE);
+        this.texture.needsUpdate = true;
+        this.hide();
+    }
+
+    show() {
+        this.mesh.visible = true;
+    }
+
+    hide() {
+        this.mesh.visible = false;
+    }
+
+    dispose() {
+        this.groundMesh.remove(this.mesh);
+        this.mesh.material.dispose();
+        this.texture.dispose();
+    }
+}
+
+// 0..1 -> RGB along blue, cyan, green, yellow, red
+function heatColor(value) {
+    const stops = [
+        [0.0, [0, 0, 255]],
+        [0.25, [0, 255, 255]],
+        [0.5, [0, 255, 0]],
+        [0.75, [255, 255, 0]],
+        [1.0, [255, 0, 0]]
+    ];
+
+    for (let i = 1; i < stops.length; i++) {
+        if (value <= stops[i][0]) {
+            const [v0, c0] = stops[i - 1];
+            const [v1, c1] = stops[i];
+            const t = (value - v0) / (v1 - v0);
+            return c0.map((channel, index) => Math.round(channel + (c1[index] - channel) * t));
+        }
+    }
+    return stops[stops.length - 1][1];
+}
@@ -0,0 +1,58 @@
+import { LandingOutcome } from "./landingAssessment.js";
+
+// Post-landing summary panel (touchdown speeds, deceleration, energy and outcome)
+const OUTCOME_COLORS = {
+    [LandingOutcome.STAND_UP]: '#4CAF50',
+    [LandingOutcome.PLF]: '#FFC107',
+    [LandingOutcome.HARD]: '#FF9800',
+    [LandingOutcome.INJURY_RISK]: '#F44336'
+};
+
+export class LandingSummaryPanel {
+    constructor() {
+        this.element = document.createElement('div');
+        this.element.id = 'landing-summary';
+        Object.assign(this.element.style, {
+            position: 'fixed',
+            top: '50%',
+            left: '50%',
+            transform: 'translate(-50%, -50%)',
+            minWidth: '260px',
+            background: 'rgba(0,0,0,0.75)',
+            color: '#fff',
+            padding: '16px 20px',
+            borderRadius: '8px',
+            borderLeft: '6px solid transparent',
+            fontFamily: 'Arial, sans-serif',
+            fontSize: '14px',
+            zIndex: 1000,
+            display: 'none'
+        });
+        document.body.appendChild(this.element);
+    }
+
+    // Show a report from assessLanding
+    show(report) {
+        const rows = [
+            ['Vertical speed', `${report.verticalSpeed.toFixed(1)} m/s`],
+            ['Horizontal speed', `${report.horizontalSpeed.toFixed(1)} m/s`],
+            ['Peak deceleration (est.)', `${report.peakDecelerationG.toFixed(1)} g`],
+            ['Impact energy', `${report.impactEnergy.toFixed(0)} J`]
+        ];
+        if (report.slope >= 0.5) {
+            rows.push(['Ground slope', `${report.slope.toFixed(0)}°`]);
+        }
+
+        this.element.style.borderLeftColor = OUTCOME_COLORS[report.outcome];
+        this.element.innerHTML =
+            `<h3 style="margin: 0 0 8px 0; color: ${OUTCOME_COLORS[report.outcome]};">${report.outcomeName}</h3>` +
+            rows.map(([label, value]) =>
+                `<p style="margin: 4px 0;"><strong>${label}:</strong> ${value}</p>`).join('') +
+            `<p style="margin: 8px 0 0 0; font-size: 12px; color: #bbb;">Profile: ${report.profile} · R to reset</p>`;
+        this.element.style.display = 'block';
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+    }
+}
@@ -0,0 +1,65 @@
+// Main canopy malfunctions
+// Each entry scales the inflated canopy (or replaces it with a fixed drag area),
+// reduces ram-air lift and adds a spin about the vertical axis.
+// Reserves are assumed to open cleanly.
+
+export const MalfunctionType = {
+    NONE: 'none',
+    LINE_OVER: 'line-over',
+    STREAMER: 'streamer',
+    LINE_TWISTS: 'line-twists',
+    PILOT_CHUTE_IN_TOW: 'pilot-chute-in-tow'
+};
+
+// Pick a random malfunction type on the next deployment (see ParachutePhysics.setMalfunction)
+export const RANDOM_MALFUNCTION = 'random';
+
+export const MALFUNCTIONS = {
+    [MalfunctionType.LINE_OVER]: {
+        type: MalfunctionType.LINE_OVER,
+        name: 'Line-over',
+        areaFactor: 0.6,        // fraction of the canopy that still inflates
+        liftFactor: 0.4,        // ram-air lift that is left
+        spinRate: 0.8,          // rad/s, turn toward the collapsed side
+        inflates: true
+    },
+    [MalfunctionType.STREAMER]: {
+        type: MalfunctionType.STREAMER,
+        name: 'Streamer',
+        dragArea: 1.5,          // m², Cd·A of the uninflated canopy
+        liftFactor: 0,
+        spinRate: 0,
+        inflates: true
+    },
+    [MalfunctionType.LINE_TWISTS]: {
+        type: MalfunctionType.LINE_TWISTS,
+        name: 'Line twists',
+        areaFactor: 0.85,
+        liftFactor: 0.5,
+        spinRate: 2.5,
+        twists: 3,              // turns in the risers at opening, the jumper spins as they unwind
+        inflates: true
+    },
+    [MalfunctionType.PILOT_CHUTE_IN_TOW]: {
+        type: MalfunctionType.PILOT_CHUTE_IN_TOW,
+        name: 'Pilot chute in tow',
+        dragArea: 0.7,          // pilot chute only, the main stays in the container
+        liftFactor: 0,
+        spinRate: 0,
+        inflates: false
+    }
+};
+
+// Malfunction entry by type, null for none / unknown
+export function getMalfunction(type) {
+    return MALFUNCTIONS[type] || null;
+}
+
+// { 'Display name': type } for GUI dropdowns
+export function getMalfunctionOptions() {
+    const options = { 'None': MalfunctionType.NONE, 'Random': RANDOM_MALFUNCTION };
+    Object.values(MALFUNCTIONS).forEach(malfunction => {
+        options[malfunction.name] = malfunction.type;
+    });
+    return options;
+}
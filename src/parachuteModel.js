@@ -1,6 +1,8 @@
 import * as THREE from "three";
 import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
 
+const UP = new THREE.Vector3(0, 1, 0);
+
 export class ParachuteModel {
     constructor() {
         this.parachute = null;
@@ -10,8 +12,29 @@ export class ParachuteModel {
         this.maxRopeLength = 20; // Height above skydiver
         this.parachuteRadius = 8; // For physics calculations
         this.parachuteHeight = 10; // For physics calculations
+        this.baseScale = 8; // Fully open scale of the active canopy mesh
         this.loader = new GLTFLoader();
         this.isLoaded = false;
+
+        // Round canopy mesh (GLB or fallback) and the procedural ram-air wing
+        this.roundParachute = null;
+        this.ramAirParachute = null;
+        this.canopyVisual = { model: 'round', scale: [8, 8, 8], radius: 8 };
+
+        // Drogue: small round canopy on a bridle above the skydiver
+        this.drogueGroup = null;
+        this.drogueLineLength = 4;
+        this.drogueProgress = 0;
+        this.isDrogueVisible = false;
+
+        // Malfunction shape of the main and the released (cut away) canopy
+        this.malfunction = null;
+        this.releasedCanopy = null;
+        this.releasedAge = 0;
+
+        // Group orientation: swing (lines from the jumper to the canopy body) times heading
+        this.swingQuaternion = new THREE.Quaternion();
+        this.headingQuaternion = new THREE.Quaternion();
     }
 
     createParachute() {
@@ -22,21 +45,16 @@ export class ParachuteModel {
         this.loader.load(
             '/models/Parachute.glb',
             (gltf) => {
-                this.parachute = gltf.scene;
-
-                // Scale the model appropriately
-                this.parachute.scale.set(8, 8, 8); // Adjust scale as needed
-
-                // Position the parachute above the skydiver
-                this.parachute.position.y = this.maxRopeLength + 7; //adjusted based on person's y
+                this.roundParachute = gltf.scene;
 
                 // Add to the group
-                this.parachuteGroup.add(this.parachute);
+                this.parachuteGroup.add(this.roundParachute);
 
                 // Initially hidden
                 this.parachuteGroup.visible = false;
 
                 this.isLoaded = true;
+                this.applyCanopyVisual();
                 console.log('Parachute GLB model loaded successfully');
             },
             (progress) => {
@@ -62,19 +80,249 @@ export class ParachuteModel {
             side: THREE.DoubleSide
         });
 
-        this.parachute = new THREE.Mesh(canopyGeometry, canopyMaterial);
-        this.parachute.position.y = this.maxRopeLength;
-        this.parachute.scale.set(1, 0.3, 1);
+        // Unit-radius dome, sized through baseScale like the GLB model
+        canopyGeometry.scale(1 / this.parachuteRadius, 0.3 / this.parachuteRadius, 1 / this.parachuteRadius);
+        this.roundParachute = new THREE.Mesh(canopyGeometry, canopyMaterial);
+        this.roundParachute.userData.isFallback = true;
 
-        this.parachuteGroup.add(this.parachute);
+        this.parachuteGroup.add(this.roundParachute);
         this.parachuteGroup.visible = false;
         this.isLoaded = true;
+        this.applyCanopyVisual();
 
         console.log('Using fallback parachute geometry');
     }
 
     // Ropes are now part of the GLB model, so we don't need to create them separately
 
+    // Use a canopy catalog entry: line length, size and visual model (see canopyCatalog.js)
+    setCanopy(canopy) {
+        this.maxRopeLength = canopy.lineLength;
+        this.canopyVisual = { ...canopy.visual };
+        this.applyCanopyVisual();
+    }
+
+    // Show the mesh for the current canopy visual and size it
+    applyCanopyVisual() {
+        if (!this.parachuteGroup || !this.isLoaded) return;
+
+        const visual = this.canopyVisual;
+        if (this.ramAirParachute) {
+            this.parachuteGroup.remove(this.ramAirParachute);
+            this.disposeObject(this.ramAirParachute);
+            this.ramAirParachute = null;
+        }
+
+        if (visual.model === 'ram-air') {
+            this.ramAirParachute = this.createRamAirParachute(visual);
+            this.parachuteGroup.add(this.ramAirParachute);
+            this.parachute = this.ramAirParachute;
+            this.baseScale = 1;
+            this.parachuteRadius = visual.span / 2;
+            if (this.roundParachute) this.roundParachute.visible = false;
+        } else {
+            this.parachute = this.roundParachute;
+            this.parachute.visible = true;
+            this.baseScale = visual.scale ? visual.scale[0] : 8;
+            this.parachuteRadius = visual.radius || this.baseScale;
+            // GLB origin sits below the canopy (7 at scale 8)
+            this.parachute.position.y = this.parachute.userData.isFallback
+                ? this.maxRopeLength
+                : this.maxRopeLength + 7 * this.baseScale / 8;
+        }
+
+        this.parachute.scale.setScalar(this.baseScale);
+    }
+
+    // Procedural ram-air wing: cells along an arc, suspension lines down to the jumper
+    createRamAirParachute(visual) {
+        const wing = new THREE.Group();
+        const material = new THREE.MeshLambertMaterial({
+            color: visual.color !== undefined ? visual.color : 0x1E88E5,
+            side: THREE.DoubleSide
+        });
+        const lineMaterial = new THREE.LineBasicMaterial({ color: 0x333333 });
+
+        const cellCount = 9;
+        const cellWidth = visual.span / cellCount;
+        const arcRadius = visual.span * 0.9; // Anhedral of the inflated canopy
+        const linePoints = [];
+
+        for (let i = 0; i < cellCount; i++) {
+            const offset = (i + 0.5) / cellCount - 0.5; // -0.5 .. 0.5 across the span
+            const angle = offset * visual.span / arcRadius;
+            // Elliptical planform: chord tapers toward the tips
+            const chord = visual.elliptical
+                ? visual.chord * Math.sqrt(Math.max(0.2, 1 - 4 * offset * offset))
+                : visual.chord;
+
+            const cell = new THREE.Mesh(new THREE.BoxGeometry(cellWidth * 0.98, visual.thickness, chord), material);
+            cell.position.set(Math.sin(angle) * arcRadius, (Math.cos(angle) - 1) * arcRadius, 0);
+            cell.rotation.z = -angle;
+            wing.add(cell);
+
+            // Front and rear line attachment points converge at the jumper (maxRopeLength below)
+            [-0.3, 0.3].forEach(chordFraction => {
+                linePoints.push(
+                    new THREE.Vector3(cell.position.x, cell.position.y - visual.thickness / 2, chord * chordFraction),
+                    new THREE.Vector3(0, -this.maxRopeLength, 0)
+                );
+            });
+        }
+
+        wing.add(new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(linePoints), lineMaterial));
+        return wing;
+    }
+
+    // Drogue canopy and bridle, built from a catalog entry (see canopyCatalog.js)
+    createDrogue(drogue) {
+        this.drogueGroup = new THREE.Group();
+        this.setDrogue(drogue);
+        this.drogueGroup.visible = false;
+        return this.drogueGroup;
+    }
+
+    setDrogue(drogue) {
+        if (!this.drogueGroup) return;
+
+        this.drogueGroup.children.slice().forEach(child => {
+            this.drogueGroup.remove(child);
+            this.disposeObject(child);
+        });
+
+        const radius = drogue.visual.radius || 1.2;
+        this.drogueLineLength = drogue.lineLength;
+
+        // Canopy opens downward, toward the skydiver
+        const canopy = new THREE.Mesh(
+            new THREE.SphereGeometry(radius, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2),
+            new THREE.MeshLambertMaterial({ color: 0xFFC107, side: THREE.DoubleSide })
+        );
+        canopy.name = 'drogueCanopy';
+        this.drogueGroup.add(canopy);
+
+        const bridle = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3(0, -1, 0)]),
+            new THREE.LineBasicMaterial({ color: 0x333333 })
+        );
+        bridle.name = 'drogueBridle';
+        this.drogueGroup.add(bridle);
+    }
+
+    showDrogue() {
+        if (!this.drogueGroup) return;
+        this.isDrogueVisible = true;
+        this.drogueGroup.visible = true;
+        this.drogueProgress = 0;
+    }
+
+    hideDrogue() {
+        if (!this.drogueGroup) return;
+        this.isDrogueVisible = false;
+        this.drogueGroup.visible = false;
+        this.drogueProgress = 0;
+    }
+
+    updateDrogueProgress(progress) {
+        this.drogueProgress = Math.min(progress, 1.0);
+
+        if (this.drogueGroup) {
+            const canopy = this.drogueGroup.getObjectByName('drogueCanopy');
+            canopy.scale.setScalar(0.2 + this.drogueProgress * 0.8);
+        }
+    }
+
+    // Drogue trails above the skydiver, the bridle stretches as it inflates
+    updateDroguePosition(skydiverPosition) {
+        if (!this.drogueGroup || !this.isDrogueVisible) return;
+
+        const height = this.drogueLineLength * (0.3 + this.drogueProgress * 0.7);
+        this.drogueGroup.position.copy(skydiverPosition);
+        this.drogueGroup.position.y += height;
+        this.drogueGroup.getObjectByName('drogueBridle').scale.y = height;
+    }
+
+    // Distort the open canopy to show a malfunction (MalfunctionType, null = normal canopy)
+    setMalfunction(type) {
+        if (type === this.malfunction || !this.parachute || !this.isLoaded) return;
+        this.malfunction = type;
+
+        const base = this.baseScale;
+        this.parachute.rotation.set(0, 0, 0);
+
+        switch (type) {
+            case 'line-over':
+                // One side pinched under a line: narrower, lopsided and tilted
+                this.parachute.scale.set(base * 0.65, base * 0.8, base);
+                this.parachute.rotation.z = 0.4;
+                break;
+            case 'streamer':
+                // Uninflated fabric trailing upward
+                this.parachute.scale.set(base * 0.2, base * 1.8, base * 0.2);
+                break;
+            case 'line-twists':
+                // Inflated but twisted lines pull the canopy down and in
+                this.parachute.scale.set(base * 0.85, base * 0.7, base * 0.85);
+                break;
+            case 'pilot-chute-in-tow':
+                // Only the pilot chute is out
+                this.parachute.scale.setScalar(base * 0.08);
+                break;
+            default:
+                this.parachute.scale.setScalar(base);
+        }
+    }
+
+    // Release the main: a copy of the canopy drifts away while the main group is hidden
+    cutaway() {
+        if (!this.parachute || !this.isVisible) return;
+
+        this.removeReleasedCanopy();
+        this.parachuteGroup.updateMatrixWorld(true);
+
+        const released = this.parachute.clone();
+        this.parachute.matrixWorld.decompose(released.position, released.quaternion, released.scale);
+        this.parachuteGroup.parent.add(released);
+        this.releasedCanopy = released;
+        this.releasedAge = 0;
+
+        this.hide();
+    }
+
+    // Released canopy floats down slowly and tumbles, then disappears
+    updateReleasedCanopy(deltaTime) {
+        if (!this.releasedCanopy) return;
+
+        this.releasedAge += deltaTime;
+        this.releasedCanopy.position.y -= 3 * deltaTime;
+        this.releasedCanopy.rotation.x += 0.8 * deltaTime;
+        this.releasedCanopy.rotation.z += 0.5 * deltaTime;
+
+        if (this.releasedAge > 10) {
+            this.removeReleasedCanopy();
+        }
+    }
+
+    removeReleasedCanopy() {
+        if (this.releasedCanopy) {
+            this.releasedCanopy.parent.remove(this.releasedCanopy);
+            this.releasedCanopy = null;
+        }
+    }
+
+    // Turn the canopy to face along the physics heading (same convention as the wind direction)
+    setHeading(heading) {
+        // Local -z is the leading edge
+        this.headingQuaternion.setFromAxisAngle(UP, -(heading + Math.PI / 2));
+        this.applyOrientation();
+    }
+
+    applyOrientation() {
+        if (this.parachuteGroup) {
+            this.parachuteGroup.quaternion.copy(this.swingQuaternion).multiply(this.headingQuaternion);
+        }
+    }
+
     show() {
         this.isVisible = true;
         this.parachuteGroup.visible = true;
@@ -85,26 +333,31 @@ export class ParachuteModel {
         this.isVisible = false;
         this.parachuteGroup.visible = false;
         this.openingProgress = 0;
+        this.malfunction = null;
 
         // Reset parachute scale and rotation when hiding
         if (this.parachute && this.isLoaded) {
-            this.parachute.scale.set(8, 8, 8); // Reset to base scale
+            this.parachute.scale.setScalar(this.baseScale); // Reset to base scale
             this.parachute.rotation.set(0, 0, 0); // Reset rotation
+            this.swingQuaternion.identity();
+            this.headingQuaternion.identity();
+            this.applyOrientation();
         }
     }
 
-    updateOpeningProgress(progress) {
+    // time = simulated time in seconds (drives the opening wobble)
+    // progress: fraction of the filling time, inflation: fraction of the drag area that is inflated
+    updateOpeningProgress(progress, time = 0, inflation = progress) {
         this.openingProgress = Math.min(progress, 1.0);
 
         if (this.parachuteGroup && this.parachute && this.isLoaded) {
-            // Scale parachute during opening
-            const baseScale = 8; // Base scale from constructor
-            const scale = baseScale * (0.1 + (this.openingProgress * 0.9));
+            // Canopy diameter follows the inflated area (∝ √area)
+            const scale = this.baseScale * (0.1 + Math.sqrt(Math.min(inflation, 1.0)) * 0.9);
             this.parachute.scale.set(scale, scale, scale);
 
             // Add some wobble during opening
             if (this.openingProgress < 1.0) {
-                const wobble = Math.sin(Date.now() * 0.01) * 0.1 * (1 - this.openingProgress);
+                const wobble = Math.sin(time * 10) * 0.1 * (1 - this.openingProgress);
                 this.parachute.rotation.z = wobble;
             } else {
                 this.parachute.rotation.z = 0;
@@ -112,28 +365,22 @@ export class ParachuteModel {
         }
     }
 
-    updatePosition(skydiverPosition) {
+    // canopyPosition: the canopy body of the two-body physics; the group is tilted along the
+    // lines from the skydiver, so swing and oscillation show. Without it, straight above.
+    updatePosition(skydiverPosition, canopyPosition = null) {
         if (this.parachuteGroup && this.isVisible && this.isLoaded) {
-            // Position parachute above skydiver
-            this.parachuteGroup.position.copy(skydiverPosition);
-            this.parachuteGroup.position.y += this.maxRopeLength * this.openingProgress;
-        }
-    }
-
-    // Add wind effects to parachute
-    applyWindEffect(windStrength, windDirection) {
-        if (this.parachuteGroup && this.isVisible && this.openingProgress > 0.5 && this.isLoaded) {
-            const windInfluence = windStrength * 0.1 * this.openingProgress;
-
-            // Tilt parachute based on wind
-            this.parachute.rotation.x = -Math.sin(windDirection) * windInfluence;
-            this.parachute.rotation.z = Math.cos(windDirection) * windInfluence;
-            // Remove z-axis rotation to keep parachute stable
-            // this.parachute.rotation.z = 0;
-
-            // Slight position drift due to wind
-            this.parachuteGroup.position.x += Math.cos(windDirection) * windInfluence * 0.01;
-            this.parachuteGroup.position.z += Math.sin(windDirection) * windInfluence * 0.01;
+            if (canopyPosition) {
+                this.parachuteGroup.position.copy(canopyPosition);
+                const lineDirection = canopyPosition.clone().sub(skydiverPosition);
+                if (lineDirection.lengthSq() > 0) {
+                    this.swingQuaternion.setFromUnitVectors(UP, lineDirection.normalize());
+                }
+            } else {
+                this.parachuteGroup.position.copy(skydiverPosition);
+                this.parachuteGroup.position.y += this.maxRopeLength * this.openingProgress;
+                this.swingQuaternion.identity();
+            }
+            this.applyOrientation();
         }
     }
 
@@ -149,12 +396,21 @@ export class ParachuteModel {
 
     // Cleanup
     dispose() {
-        if (this.parachute) {
-            // For GLB models, we need to dispose of all materials and geometries recursively
-            this.disposeObject(this.parachute);
+        // For GLB models, we need to dispose of all materials and geometries recursively
+        if (this.roundParachute) {
+            this.disposeObject(this.roundParachute);
+        }
+        if (this.ramAirParachute) {
+            this.disposeObject(this.ramAirParachute);
+        }
+        if (this.drogueGroup) {
+            this.disposeObject(this.drogueGroup);
         }
 
         this.parachute = null;
+        this.drogueGroup = null;
+        this.roundParachute = null;
+        this.ramAirParachute = null;
         this.parachuteGroup = null;
         this.isLoaded = false;
     }
@@ -1,4 +1,15 @@
 import * as THREE from "three";
+import { CustomPhysicsBody, ElasticLine } from "./customPhysics.js";
+import { CanopyType, DEFAULT_CANOPY_ID, DEFAULT_DROGUE_ID, DEFAULT_RESERVE_ID, DEFAULT_CANOPY_FOR_TYPE, getCanopy } from "./canopyCatalog.js";
+import { MalfunctionType, MALFUNCTIONS, RANDOM_MALFUNCTION, getMalfunction } from "./malfunctions.js";
+import { SeededRandom } from "./random.js";
+import { AutomaticActivationDevice } from "./aad.js";
+import { DEFAULT_BODY_POSITION, getBodyPosition, getMachDragFactor } from "./bodyPositions.js";
+import { WindProfile } from "./windProfile.js";
+import { WindField } from "./windField.js";
+import { ATMOSPHERE_TOP_ALTITUDE, FlowRegime, FLOW_REGIME_NAMES, ISA, AtmosphereModel, getDensityAltitude, getFlowRegime } from "./atmosphere.js";
+
+export { CanopyType };
 
 // Physics constants from the guide
 export const PHYSICS_CONSTANTS = {
@@ -11,8 +22,8 @@ export const PHYSICS_CONSTANTS = {
     GAS_CONSTANT: 8.3144598,         // J/(mol*K) / R
 
     // Environmental limits and validation
-    MAX_ALTITUDE: 10000,             // Maximum altitude for calculations (10km) / H
-    MIN_TEMPERATURE: -60,            // Minimum temperature (°C) for calculations
+    MAX_ALTITUDE: ATMOSPHERE_TOP_ALTITUDE, // Top of the standard atmosphere tables (86 km) / H
+    MIN_TEMPERATURE: -90,            // Minimum temperature (°C) for calculations (mesopause ≈ -86 °C)
     MAX_TEMPERATURE: 50,             // Maximum temperature (°C) for calculations
 
     // Drag Coefficients
@@ -25,16 +36,104 @@ export const PHYSICS_CONSTANTS = {
     PARACHUTIST_MASS: 80,            // kg
     PARACHUTIST_AREA: 0.7,           // m²
     PARACHUTE_AREA_ROUND: 50,        // m²
-    PARACHUTE_AREA_RECT: 25          // m²
+    PARACHUTE_AREA_RECT: 25,         // m²
+    // Reference density for ram-air glide polars
+    SEA_LEVEL_DENSITY: 1.225,        // kg/m³ / ρ₀
+
+    // Canopy inflation: catalog inflation times apply at this deployment airspeed (sea level)
+    INFLATION_REFERENCE_SPEED: 50,   // m/s / V_ref
+    MIN_FILL_TIME_FACTOR: 0.25,      // filling time limits relative to the catalog value
+    MAX_FILL_TIME_FACTOR: 4,
+
+    // Body height above the terrain when resting on it (GROUND_CLEARANCE + contact threshold in customPhysics.js)
+    GROUND_CONTACT_HEIGHT: 1.1,      // m
+
+    // Suspension lines between the canopy body and the jumper: k = EA / line length,
+    // damping as a fraction of critical on the canopy mass
+    LINE_AXIAL_STIFFNESS: 30000,     // N, EA of the whole line set (≈ 2.5% stretch at 1 g)
+    LINE_DAMPING_RATIO: 0.3,         // ζ
+
+    // Jumper rotation under canopy: the risers attach above the centre of mass and twisting
+    // them turns the jumper toward the canopy heading (torque limited once they wrap up)
+    HARNESS_OFFSET: 0.5,             // m above the jumper's centre of mass
+    RISER_TWIST_STIFFNESS: 40,       // N·m/rad
+    RISER_TWIST_DAMPING: 10,         // N·m·s/rad
+    MAX_RISER_TORQUE: 40,            // N·m
+    BODY_TILT_DAMPING: 40            // N·m·s/rad, air resisting pitch / roll of the body
+};
+
+// Ram-air canopy response to control inputs at full deflection (input 1)
+// Lift / drag terms are added to a factor of 1 on the canopy's CL / CD.
+export const STEERING = {
+    TOGGLE_TURN_RATE: 1.2,           // rad/s with one toggle fully down
+    MAX_BANK_ANGLE: Math.PI / 3,     // rad, bank from the turn rate, tan φ = V·ω / g
+    TURN_DRAG: 0.5,                  // extra CD from an asymmetric toggle
+    BRAKE_LIFT: 2.0,                 // both toggles / flare: CL ×3, the canopy's speed arrests the sink...
+    BRAKE_DRAG: 1.5,                 // ...and CD ×2.5 bleeds off the forward speed
+    FRONT_RISER_LIFT: -0.25,         // lower angle of attack: faster and steeper
+    FRONT_RISER_DRAG: -0.1,
+    REAR_RISER_LIFT: 0.15,           // higher angle of attack: slower and flatter
+    REAR_RISER_DRAG: 0.05,
+    SIDE_FORCE_COEFF: 0.5,           // CY, keeps the canopy flying along its heading
+    // Stall: lift falls off once the airflow comes in steeper than the glide the canopy is trimmed
+    // for (e.g. straight up out of the opening), down to the post-stall share of CL
+    STALL_ONSET_ANGLE: 10 * Math.PI / 180,   // rad beyond the trim glide angle
+    FULL_STALL_ANGLE: 60 * Math.PI / 180,
+    POST_STALL_LIFT: 0.1
+};
+
+// Canopy control inputs, each from 0 (released) to 1 (full deflection)
+export const ControlInput = {
+    LEFT_TOGGLE: 'leftToggle',
+    RIGHT_TOGGLE: 'rightToggle',
+    FRONT_RISERS: 'frontRisers',
+    REAR_RISERS: 'rearRisers',
+    FLARE: 'flare'
 };
 
 // Parachute states
+// FREEFALL -> [DROGUE_OPENING -> DROGUE ->] OPENING -> DEPLOYED
+// A malfunctioning main goes OPENING -> MALFUNCTION -> CUTAWAY, then the reserve
+// opens through OPENING -> DEPLOYED again.
 export const ParachuteState = {
     FREEFALL: 'freefall',
+    DROGUE_OPENING: 'drogue-opening',
+    DROGUE: 'drogue',
     OPENING: 'opening',
-    DEPLOYED: 'deployed'
+    DEPLOYED: 'deployed',
+    MALFUNCTION: 'malfunction',
+    CUTAWAY: 'cutaway'
 };
 
+// Drogue fall (drogue inflating or stabilised)
+function isDrogueState(state) {
+    return state === ParachuteState.DROGUE_OPENING || state === ParachuteState.DROGUE;
+}
+
+function createControlInputs() {
+    const inputs = {};
+    Object.values(ControlInput).forEach(input => {
+        inputs[input] = 0;
+    });
+    return inputs;
+}
+
+// Angle wrapped to [-π, π]
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+// Heading a body faces (same convention as ParachutePhysics.heading); models face their local +z
+function getBodyHeading(body) {
+    const facing = new THREE.Vector3(0, 0, 1).applyQuaternion(body.quaternion);
+    return Math.atan2(facing.z, facing.x);
+}
+
+// Opening-shock record: deployment conditions and the peak line load while filling
+function createOpeningShock(deploySpeed = 0, fillTime = 0, airDensity = 0) {
+    return { deploySpeed, fillTime, airDensity, peakForce: 0, peakLoadFactor: 0, peakTime: 0 };
+}
+
 export class ParachutePhysics {
     constructor(world, mass = PHYSICS_CONSTANTS.PARACHUTIST_MASS) {
         this.world = world;
@@ -46,27 +145,83 @@ export class ParachutePhysics {
         this.acceleration = new THREE.Vector3();
         this.position = new THREE.Vector3();
         this.altitude = 0;
+        this.heightAboveGround = 0; // m above the terrain under the jumper (altimeter, AAD, triggers)
 
         // Parachute properties
         this.parachuteOpen = false;
         this.parachuteArea = 0;
         this.dragCoeffVertical = PHYSICS_CONSTANTS.DRAG_COEFF_VERTICAL_FREEFALL;
         this.dragCoeffHorizontal = PHYSICS_CONSTANTS.DRAG_COEFF_HORIZONTAL_FREEFALL;
-
-        // Environmental conditions
-        this.temperature = PHYSICS_CONSTANTS.SEA_LEVEL_TEMP;
-        this.pressure = PHYSICS_CONSTANTS.SEA_LEVEL_PRESSURE;
-        this.airDensity = this.calculateAirDensity(this.pressure, this.temperature);
-
-        // Wind simulation
+        this.liftCoeff = 0;
+
+        // Selected canopy (see canopyCatalog.js)
+        this.canopy = getCanopy(DEFAULT_CANOPY_ID);
+        this.canopyType = this.canopy.type;
+        this.heading = -Math.PI / 2; // radians, same convention as windDirection (-π/2 = -z)
+
+        // Drogue stage (tandem / high-altitude): stabilises freefall, released by the main deployment
+        this.drogue = getCanopy(DEFAULT_DROGUE_ID);
+        this.drogueOpen = false;
+        this.drogueDeployTime = 0;
+
+        // Reserve and malfunctions: activeCanopy is the canopy currently out (main or reserve)
+        this.reserve = getCanopy(DEFAULT_RESERVE_ID);
+        this.reserveDeployed = false;
+        this.activeCanopy = null;
+        this.malfunctionSetting = MalfunctionType.NONE; // forced type, RANDOM_MALFUNCTION or none
+        this.malfunctionProbability = 0;                 // chance of a random malfunction when none is forced
+        this.malfunctionRandom = new SeededRandom(1);
+        this.malfunction = null;                         // active malfunction entry
+        this.spinRate = 0;                               // rad/s about the vertical axis
+        this.riserTwist = 0;                             // rad, canopy heading ahead of the jumper's
+
+        // Freefall body position (belly, head-down, sit, track)
+        this.bodyPosition = getBodyPosition(DEFAULT_BODY_POSITION);
+
+        // Steering inputs (ram-air canopies) and the resulting turn rate
+        this.controlInputs = createControlInputs();
+        this.yawRate = 0;                                // rad/s, positive turns right
+
+        // Automatic activation device, disarmed until armed from the GUI or a scenario
+        this.aad = new AutomaticActivationDevice(this);
+
+        // Environmental conditions, all sampled from the atmosphere model (ISA unless replaced)
+        this.atmosphere = ISA;
+        this.updateEnvironmentalConditions(0);
+
+        // Airspeed relative to the speed of sound (freefall drag rises through the transonic range)
+        this.machNumber = 0;
+        this.maxMachNumber = 0;
+        this.flowRegime = FlowRegime.SUBSONIC;
+
+        // Wind simulation: the shared wind field (winds aloft, thermals, gusts; see windField.js),
+        // also sampled by the wind visualization
+        this.windField = new WindField({ terrain: world ? world.terrain : null });
         this.windVelocity = new THREE.Vector3(0, 0, 0);
-        this.windStrength = 0; // m/s
+        this.windStrength = 0; // m/s, surface wind
         this.windDirection = 0; // radians
+        this.airMassVerticalVelocity = 0;                // m/s, thermal lift (+) or sink (-) at the jumper
 
         // Timing
         this.lastTime = 0;
         this.parachuteDeployTime = 0;
-        this.openingDuration = 2.0; // seconds
+        this.openingDuration = this.canopy.inflationTime; // seconds, filling time of the canopy being opened
+        this.drogueFillTime = this.drogue.inflationTime;
+
+        // Opening shock of the last canopy deployment (see trackOpeningShock)
+        this.openingShock = createOpeningShock();
+
+        // Force generator registered on the attached physics body
+        this.attachedBody = null;
+        this.forceGenerator = (position, velocity) => this.calculateForces(position, velocity);
+
+        // Open canopy flown as a second body, joined to the jumper by the suspension line
+        this.canopyBody = null;
+        this.suspensionLine = null;
+        this.canopyForceGenerator = (position, velocity) => this.calculateCanopyForces(position, velocity);
+
+        // Wind for the bodies' built-in air resistance, so every drag force works on the airspeed
+        this.windSampler = (position) => this.updateWindVelocity(position);
 
         // Terminal velocity tracking
         this.terminalVelocity = this.calculateTerminalVelocity().value;
@@ -74,6 +229,9 @@ export class ParachutePhysics {
         // Environmental logging
         this.lastLoggedAltitude = 0;
 
+        // Event log for telemetry (deployments, state changes, ...)
+        this.events = [];
+
         // Velocity milestone flags
         this.milestone50Logged = false;
         this.milestone100Logged = false;
@@ -85,48 +243,81 @@ export class ParachutePhysics {
         this.exceedingTerminalVelocityLogged = false;
     }
 
-    // Environmental calculations
-    // T = T₀ - L × h
+    // Replace the atmosphere model (ISA, a hot / cold / humid StandardAtmosphere or a sounding)
+    setAtmosphere(atmosphere) {
+        if (!(atmosphere instanceof AtmosphereModel)) {
+            console.warn('Not an atmosphere model:', atmosphere);
+            return false;
+        }
+        this.atmosphere = atmosphere;
+        this.updateEnvironmentalConditions(this.altitude || 0);
+        this.terminalVelocity = this.calculateTerminalVelocity().value;
+        this.recordEvent('atmosphere', { model: atmosphere.name });
+        console.log(`🌡️ Atmosphere: ${atmosphere.name} (density altitude ${this.getDensityAltitude().toFixed(0)} m)`);
+        return true;
+    }
+
+    // Environmental calculations (see atmosphere.js)
+    // T(h) from the atmosphere model, clamped for display and the GUI
     calculateTemperature(altitude) {
-        const safeAltitude = Math.max(0, Math.min(altitude, PHYSICS_CONSTANTS.MAX_ALTITUDE));
-        const temperature = PHYSICS_CONSTANTS.SEA_LEVEL_TEMP - PHYSICS_CONSTANTS.TEMP_LAPSE_RATE * safeAltitude;
+        const temperature = this.atmosphere.sample(altitude).temperature;
 
         // Clamp temperature to reasonable bounds
         return Math.max(PHYSICS_CONSTANTS.MIN_TEMPERATURE,
             Math.min(temperature, PHYSICS_CONSTANTS.MAX_TEMPERATURE));
     }
 
-    // P = P₀ × (1 - L × h / T₀)^(g×M)/(R×L)
-    calculatePressure(altitude, temperature) {
-        const tempKelvin = temperature + 273.15;
-        const safeAltitude = Math.max(0, altitude);
-
-        // Use the International Standard Atmosphere (ISA) model for better accuracy
-        // This is the standard used by aviation and meteorology
-        const exponent = -PHYSICS_CONSTANTS.AIR_MOLAR_MASS * PHYSICS_CONSTANTS.GRAVITY * safeAltitude /
-            (PHYSICS_CONSTANTS.GAS_CONSTANT * tempKelvin);
-
-        // Apply ISA correction factors for better accuracy at higher altitudes
-        let pressure = PHYSICS_CONSTANTS.SEA_LEVEL_PRESSURE * Math.exp(exponent);
+    calculatePressure(altitude) {
+        return this.atmosphere.sample(altitude).pressure;
+    }
 
-        return pressure;
+    // ρ = P_d × M / (R × T_v): moist air is lighter than dry air at the same P and T
+    calculateAirDensity(altitude) {
+        return this.atmosphere.sample(altitude).density;
     }
 
-    // ρ = (P × M) / (R × T)
-    calculateAirDensity(pressure, temperature) {
-        const tempKelvin = temperature + 273.15;
+    // ISA altitude with the current air density
+    getDensityAltitude() {
+        return getDensityAltitude(this.airDensity);
+    }
 
-        // Use the ideal gas law from the physics guide: ρ = (P * M) / (R * T)
-        return (pressure * PHYSICS_CONSTANTS.AIR_MOLAR_MASS) /
-            (PHYSICS_CONSTANTS.GAS_CONSTANT * tempKelvin);
+    // The atmosphere follows the altitude, the altimeter, AAD and deployment triggers the
+    // height above the terrain under the jumper
+    updateAltitude(position) {
+        this.updateEnvironmentalConditions(position.y);
+        this.heightAboveGround = this.getHeightAboveGround(position);
     }
 
     // Enhanced environmental state calculation
     updateEnvironmentalConditions(altitude) {
+        const conditions = this.atmosphere.sample(altitude);
         this.altitude = altitude;
-        this.temperature = this.calculateTemperature(altitude);
-        this.pressure = this.calculatePressure(altitude, this.temperature);
-        this.airDensity = this.calculateAirDensity(this.pressure, this.temperature);
+        this.temperature = Math.max(PHYSICS_CONSTANTS.MIN_TEMPERATURE,
+            Math.min(conditions.temperature, PHYSICS_CONSTANTS.MAX_TEMPERATURE));
+        this.pressure = conditions.pressure;
+        this.airDensity = conditions.density;
+        this.relativeHumidity = conditions.relativeHumidity;
+        this.speedOfSound = conditions.speedOfSound;
+        this.atmosphereLayer = conditions.layer;
+    }
+
+    // M = V_air / a
+    getMachNumber(airspeed) {
+        return airspeed / this.speedOfSound;
+    }
+
+    // Track the Mach number of the jumper's airspeed and log changes of flow regime
+    updateMachNumber() {
+        const airspeed = this.velocity.clone().sub(this.updateWindVelocity()).length();
+        this.machNumber = this.getMachNumber(airspeed);
+        this.maxMachNumber = Math.max(this.maxMachNumber, this.machNumber);
+
+        const regime = getFlowRegime(this.machNumber);
+        if (regime !== this.flowRegime) {
+            this.flowRegime = regime;
+            this.recordEvent('flow-regime', { regime, mach: this.machNumber });
+            console.log(`🔊 ${FLOW_REGIME_NAMES[regime]}: Mach ${this.machNumber.toFixed(2)} at ${this.altitude.toFixed(0)} m`);
+        }
     }
 
     // Force calculations
@@ -146,39 +337,266 @@ export class ParachutePhysics {
         return dragDirection.multiplyScalar(dragMagnitude);
     }
 
-    calculateWind() {
-        this.windVelocity.x = Math.cos(this.windDirection) * this.windStrength;
-        this.windVelocity.z = Math.sin(this.windDirection) * this.windStrength;
+    // Air-mass velocity from the wind field at a position (the jumper's by default). Returns
+    // this.windVelocity, which the next call overwrites: clone it to keep it.
+    updateWindVelocity(position = this.position) {
+        return this.windField.sample(position, this.getSimulationTime(), this.windVelocity);
+    }
+
+    // Round canopy drag from the airspeed, with C_dv along the canopy axis and C_dh across it:
+    // Fd = -½ × ρ × A × |v_air| × (C_dv × v_air,vertical + C_dh × v_air,horizontal)
+    // Wind drift comes from the horizontal part: the drag pushes the canopy downwind.
+    calculateCanopyDrag(velocity, position = this.position) {
+        const airVelocity = velocity.clone().sub(this.updateWindVelocity(position));
+        const airspeed = airVelocity.length();
+        if (airspeed === 0) return new THREE.Vector3(0, 0, 0);
+
+        const pressureArea = 0.5 * this.airDensity * this.getEffectiveCanopyArea() * airspeed;
+        return new THREE.Vector3(
+            -pressureArea * this.dragCoeffHorizontal * airVelocity.x,
+            -pressureArea * this.dragCoeffVertical * airVelocity.y,
+            -pressureArea * this.dragCoeffHorizontal * airVelocity.z
+        );
+    }
+
+    // Ram-air glide polar from the canopy's full-flight CL / CD at sea level
+    // Glide ratio = CL / CD; at trim the resultant force balances the weight:
+    // W = ½·ρ₀·V²·S·√(CL² + CD²)
+    getGlidePolar(canopy = this.getFlyingCanopy()) {
+        const { liftCoeff, dragCoeffVertical: dragCoeff, area } = canopy;
+        const weight = this.mass * PHYSICS_CONSTANTS.GRAVITY;
+        const resultantCoeff = Math.hypot(liftCoeff, dragCoeff);
+        const glideAngle = Math.atan2(dragCoeff, liftCoeff); // γ, radians below horizontal
+        const airspeed = resultantCoeff > 0
+            ? Math.sqrt(2 * weight / (PHYSICS_CONSTANTS.SEA_LEVEL_DENSITY * area * resultantCoeff))
+            : 0;
+
+        return {
+            trimSpeed: airspeed * Math.cos(glideAngle),
+            glideRatio: dragCoeff > 0 ? liftCoeff / dragCoeff : Infinity,
+            sinkRate: airspeed * Math.sin(glideAngle),
+            airspeed,
+            glideAngle
+        };
+    }
+
+    // Inverse of getGlidePolar: CL = W·cos γ / (q₀·S), CD = W·sin γ / (q₀·S) with q₀ = ½·ρ₀·V²
+    calculateGlideCoefficients(trimSpeed, glideRatio, canopy = this.getFlyingCanopy()) {
+        const weight = this.mass * PHYSICS_CONSTANTS.GRAVITY;
+        const glideAngle = Math.atan(1 / glideRatio);
+        const airspeed = trimSpeed / Math.cos(glideAngle);
+        const dynamicPressureArea = 0.5 * PHYSICS_CONSTANTS.SEA_LEVEL_DENSITY * airspeed * airspeed * canopy.area;
+
+        return {
+            liftCoeff: weight * Math.cos(glideAngle) / dynamicPressureArea,
+            dragCoeff: weight * Math.sin(glideAngle) / dynamicPressureArea
+        };
+    }
+
+    // Unit vector of the canopy heading in the horizontal plane
+    getHeadingVector() {
+        return new THREE.Vector3(Math.cos(this.heading), 0, Math.sin(this.heading));
+    }
+
+    // Ram-air lift and drag from the relative airflow
+    // L = ½·CL·ρ·S·V² perpendicular to the airflow in the heading/up plane (tilts forward
+    // when descending, which drives the canopy along its heading), D = ½·CD·ρ·S·V² opposing it
+    calculateGlideForces(velocity, position = this.position) {
+        const airVelocity = velocity.clone().sub(this.updateWindVelocity(position));
+        const airspeed = airVelocity.length();
+        if (airspeed === 0) {
+            return { lift: new THREE.Vector3(), drag: new THREE.Vector3() };
+        }
+
+        const dynamicPressureArea = 0.5 * this.airDensity * airspeed * airspeed * this.getEffectiveCanopyArea();
+        const steering = this.getSteeringResponse();
+
+        const drag = airVelocity.clone().normalize()
+            .multiplyScalar(-this.dragCoeffVertical * steering.dragFactor * dynamicPressureArea);
 
-        // Only apply wind when parachute is open and we're in the air
-        if (!this.parachuteOpen || this.altitude <= 5) {
-            return new THREE.Vector3(0, 0, 0);
+        const { liftDirection, lateral, sideslip, planeAirVelocity } = this.getLiftFrame(airVelocity);
+        const liftCoeff = this.liftCoeff * steering.liftFactor * this.getLiftBuildUp(planeAirVelocity, steering);
+        const lift = liftDirection.multiplyScalar(liftCoeff * dynamicPressureArea);
+
+        // Banking into a turn tilts the lift toward the inside (centripetal force, more sink)
+        if (steering.yawRate !== 0) {
+            const bank = Math.max(-STEERING.MAX_BANK_ANGLE, Math.min(STEERING.MAX_BANK_ANGLE,
+                Math.atan(planeAirVelocity.length() * steering.yawRate / PHYSICS_CONSTANTS.GRAVITY)));
+            const liftMagnitude = lift.length();
+            lift.multiplyScalar(Math.cos(bank)).add(lateral.clone().multiplyScalar(liftMagnitude * Math.sin(bank)));
         }
 
-        const relativeVelocity = this.windVelocity.clone().sub(this.velocity);
-        const windArea = this.parachuteOpen ? this.parachuteArea : PHYSICS_CONSTANTS.PARACHUTIST_AREA;
+        // Side force against sideslip, so the flight path follows the heading
+        const sideForce = -STEERING.SIDE_FORCE_COEFF * 0.5 * this.airDensity * airspeed * sideslip * this.getEffectiveCanopyArea();
+        lift.add(lateral.multiplyScalar(sideForce));
 
-        return this.calculateDrag(relativeVelocity, windArea, this.dragCoeffHorizontal);
+        return { lift, drag };
     }
 
-    // T = m × g × f(t) - قوة شد الحبل
-    calculateTension() {
-        if (!this.parachuteOpen) return new THREE.Vector3(0, 0, 0);
+    // Share of CL the canopy develops: it grows with the inflation while the canopy opens, and the
+    // canopy is stalled while the airflow is much steeper than its trim glide (it leaves the opening
+    // dropping vertically and only starts to fly as it picks up forward speed)
+    getLiftBuildUp(planeAirVelocity, steering) {
+        const forwardAirspeed = planeAirVelocity.dot(this.getHeadingVector());
+        const flowAngle = Math.atan2(-planeAirVelocity.y, forwardAirspeed);
+        const trimAngle = Math.atan2(this.dragCoeffVertical * steering.dragFactor, this.liftCoeff * steering.liftFactor);
+        const stall = THREE.MathUtils.clamp(
+            (flowAngle - trimAngle - STEERING.STALL_ONSET_ANGLE) / (STEERING.FULL_STALL_ANGLE - STEERING.STALL_ONSET_ANGLE),
+            0, 1
+        );
+        return this.getInflationFraction() * (1 - (1 - STEERING.POST_STALL_LIFT) * stall);
+    }
 
-        // During opening phase, tension varies gradually
-        if (this.state === ParachuteState.OPENING) {
-            const openingProgress = (Date.now() - this.parachuteDeployTime) / (this.openingDuration * 1000);
-            const tensionFactor = Math.min(openingProgress, 1.0);
+    // Lift acts in the symmetry plane of the canopy (or tracking body): drop the sideways
+    // airflow component and take the perpendicular in the heading/up plane
+    getLiftFrame(airVelocity) {
+        const forward = this.getHeadingVector();
+        const lateral = new THREE.Vector3().crossVectors(forward, new THREE.Vector3(0, 1, 0)).normalize();
+        const sideslip = airVelocity.dot(lateral);
+        const planeAirVelocity = airVelocity.clone().sub(lateral.clone().multiplyScalar(sideslip));
+        const liftDirection = new THREE.Vector3().crossVectors(lateral, planeAirVelocity);
+        if (liftDirection.lengthSq() > 0) {
+            liftDirection.normalize();
+        }
+        return { liftDirection, lateral, sideslip, planeAirVelocity };
+    }
+
+    // Freefall body drag from the airspeed (with the compressibility drag rise near Mach 1);
+    // tracking adds lift along the heading
+    calculateFreefallForces(velocity, worldPosition = this.position) {
+        const airVelocity = velocity.clone().sub(this.updateWindVelocity(worldPosition));
+        const airspeed = airVelocity.length();
+        const position = this.bodyPosition;
+
+        const dragCoeff = position.dragCoeff * getMachDragFactor(this.getMachNumber(airspeed));
+        const drag = this.calculateDrag(airVelocity, position.area, dragCoeff);
+        if (position.liftCoeff === 0 || airspeed === 0) {
+            return { lift: new THREE.Vector3(), drag };
+        }
 
-            // Apply gradual tension during opening
-            const baseTension = this.mass * PHYSICS_CONSTANTS.GRAVITY * 0.8; // 80% of weight initially
-            const finalTension = this.mass * PHYSICS_CONSTANTS.GRAVITY; // Full weight when fully open
+        const dynamicPressureArea = 0.5 * this.airDensity * airspeed * airspeed * position.area;
+        const { liftDirection } = this.getLiftFrame(airVelocity);
+        return { lift: liftDirection.multiplyScalar(position.liftCoeff * dynamicPressureArea), drag };
+    }
 
-            const currentTension = baseTension + (finalTension - baseTension) * tensionFactor;
-            return new THREE.Vector3(0, currentTension, 0);
+    // Select a freefall body position (applies in freefall, drogue fall and after a cutaway)
+    setBodyPosition(id) {
+        const position = getBodyPosition(id);
+        if (!position) {
+            console.warn('Unknown body position:', id);
+            return false;
         }
+        if (position === this.bodyPosition) return true;
 
-        return new THREE.Vector3(0, this.mass * PHYSICS_CONSTANTS.GRAVITY, 0);
+        this.bodyPosition = position;
+        this.recordEvent('body-position', { position: position.id });
+        console.log(`🤸 Body position: ${position.name}`);
+        return true;
+    }
+
+    // Cd·A of the skydiver in the current body position (m²), subsonic unless a Mach number is given
+    getFreefallDragArea(mach = 0) {
+        return this.bodyPosition.area * this.bodyPosition.dragCoeff * getMachDragFactor(mach);
+    }
+
+    // Freefall terminal airspeed: V = √(2mg / (ρ·A·√(CL² + CD(M)²))).
+    // CD depends on V through the Mach number, so iterate (damped) to a fixed point.
+    getFreefallTerminalVelocity(airDensity = this.airDensity, speedOfSound = this.speedOfSound) {
+        const position = this.bodyPosition;
+        let velocity = 0;
+        for (let i = 0; i < 30; i++) {
+            const dragCoeff = position.dragCoeff * getMachDragFactor(velocity / speedOfSound);
+            const forceCoeff = Math.hypot(dragCoeff, position.liftCoeff);
+            const next = Math.sqrt((2 * this.mass * PHYSICS_CONSTANTS.GRAVITY) / (airDensity * position.area * forceCoeff));
+            velocity = i === 0 ? next : 0.5 * (velocity + next);
+        }
+        return velocity;
+    }
+
+    // Steering is possible once a ram-air canopy is fully open
+    isSteerable() {
+        return this.state === ParachuteState.DEPLOYED && this.canopyType === CanopyType.RAM_AIR;
+    }
+
+    // Set a control input (ControlInput) from 0 (released) to 1 (full deflection)
+    setControlInput(input, value) {
+        if (!(input in this.controlInputs)) {
+            console.warn('Unknown control input:', input);
+            return false;
+        }
+        this.controlInputs[input] = Math.max(0, Math.min(1, value));
+        return true;
+    }
+
+    releaseControls() {
+        this.controlInputs = createControlInputs();
+        this.yawRate = 0;
+    }
+
+    // CL / CD factors and turn rate from the control inputs (neutral when not steerable)
+    // Both toggles down act as brakes; the flare input pulls both toggles together.
+    getSteeringResponse() {
+        if (!this.isSteerable()) {
+            return { liftFactor: 1, dragFactor: 1, yawRate: 0 };
+        }
+
+        const inputs = this.controlInputs;
+        const brakes = Math.max(inputs.flare, Math.min(inputs.leftToggle, inputs.rightToggle));
+        const turn = inputs.rightToggle - inputs.leftToggle;
+
+        return {
+            liftFactor: 1 +
+                STEERING.BRAKE_LIFT * brakes +
+                STEERING.FRONT_RISER_LIFT * inputs.frontRisers +
+                STEERING.REAR_RISER_LIFT * inputs.rearRisers,
+            dragFactor: 1 +
+                STEERING.BRAKE_DRAG * brakes +
+                STEERING.TURN_DRAG * Math.abs(turn) +
+                STEERING.FRONT_RISER_DRAG * inputs.frontRisers +
+                STEERING.REAR_RISER_DRAG * inputs.rearRisers,
+            yawRate: STEERING.TOGGLE_TURN_RATE * turn
+        };
+    }
+
+    // Line tension: the force in the stretched suspension line between the canopy body and
+    // the jumper (without a canopy body, the canopy's drag + lift + wind, T = ½ × ρ × V² × (Cd·S)(t))
+    calculateTension(position = this.position, velocity = this.velocity) {
+        if (!this.parachuteOpen) return new THREE.Vector3(0, 0, 0);
+        return this.calculateForceBreakdown(position, velocity).tension;
+    }
+
+    // Filling time of a canopy: it fills over a roughly constant distance, t_f = t_ref × V_ref / V,
+    // and more slowly in thin air (lower mass flow into the mouth), t_f ∝ √(ρ₀ / ρ)
+    calculateFillTime(canopy, deploySpeed, airDensity = this.airDensity) {
+        const speed = Math.max(deploySpeed, 1);
+        const fillTime = canopy.inflationTime *
+            (PHYSICS_CONSTANTS.INFLATION_REFERENCE_SPEED / speed) *
+            Math.sqrt(PHYSICS_CONSTANTS.SEA_LEVEL_DENSITY / airDensity);
+
+        return Math.min(
+            canopy.inflationTime * PHYSICS_CONSTANTS.MAX_FILL_TIME_FACTOR,
+            Math.max(canopy.inflationTime * PHYSICS_CONSTANTS.MIN_FILL_TIME_FACTOR, fillTime)
+        );
+    }
+
+    // Fraction of the full drag area while filling: (t / t_f)^j
+    // (j = 2 for round canopies, about 1 for ram-air canopies reefed by a slider)
+    getInflationFraction() {
+        if (!this.parachuteOpen) return 0;
+
+        const progress = Math.min(this.getOpeningProgress(), 1.0);
+        const exponent = this.activeCanopy ? this.activeCanopy.inflationExponent : 1;
+        return Math.pow(progress, exponent);
+    }
+
+    // Canopy area that is currently inflated (m²)
+    getEffectiveCanopyArea() {
+        return this.parachuteArea * this.getInflationFraction();
+    }
+
+    // Airspeed of the jumper (velocity relative to the wind)
+    getAirspeed(velocity = this.velocity) {
+        return velocity.clone().sub(this.updateWindVelocity()).length();
     }
 
     // Vt = √[(2 × m × g) / (ρ × A × Cd)]
@@ -187,18 +605,29 @@ export class ParachutePhysics {
         // Determine area and drag coefficient based on CURRENT STATE, not just parachuteOpen
         let area, dragCoeff;
 
-        if (this.state === ParachuteState.FREEFALL) {
-            // Freefall state - use skydiver values
-            area = PHYSICS_CONSTANTS.PARACHUTIST_AREA;
-            dragCoeff = PHYSICS_CONSTANTS.DRAG_COEFF_VERTICAL_FREEFALL;
+        if (this.state === ParachuteState.FREEFALL || this.state === ParachuteState.CUTAWAY) {
+            // Freefall state - use the skydiver's body position
+            return { value: this.getFreefallTerminalVelocity() };
+        } else if (isDrogueState(this.state)) {
+            // Drogue fall - skydiver and drogue drag areas add up
+            area = this.bodyPosition.area + this.drogue.area;
+            dragCoeff = this.getDrogueDragArea() / area;
+        } else if (this.state === ParachuteState.MALFUNCTION) {
+            // Malfunction - whatever is left of the canopy, no useful lift
+            area = this.parachuteArea;
+            dragCoeff = this.dragCoeffVertical;
+        } else if (this.canopyType === CanopyType.RAM_AIR) {
+            // Ram-air canopy - steady glide at the polar airspeed, faster in thinner air
+            return {
+                value: this.getGlidePolar().airspeed * Math.sqrt(PHYSICS_CONSTANTS.SEA_LEVEL_DENSITY / this.airDensity)
+            };
         } else if (this.state === ParachuteState.OPENING || this.state === ParachuteState.DEPLOYED) {
-            // Parachute state - use parachute values
-            area = this.parachuteArea || PHYSICS_CONSTANTS.PARACHUTE_AREA_ROUND;
-            dragCoeff = PHYSICS_CONSTANTS.DRAG_COEFF_VERTICAL_PARACHUTE;
+            // Parachute state - use the selected canopy's values
+            area = this.parachuteArea || this.canopy.area;
+            dragCoeff = this.dragCoeffVertical;
         } else {
             // Fallback to freefall values
-            area = PHYSICS_CONSTANTS.PARACHUTIST_AREA;
-            dragCoeff = PHYSICS_CONSTANTS.DRAG_COEFF_VERTICAL_FREEFALL;
+            return { value: this.getFreefallTerminalVelocity() };
         }
 
         // Fd = 1/2 * Cd * v^2 * A * ρ
@@ -229,82 +658,517 @@ export class ParachutePhysics {
         };
     }
 
-    // Parachute deployment
+    // Parachute deployment (from freefall, or from drogue fall after releasing the drogue)
     deployParachute() {
         // Don't deploy if already deployed or opening
-        if (this.state !== ParachuteState.FREEFALL) return;
+        if (this.state !== ParachuteState.FREEFALL && !isDrogueState(this.state)) return;
 
         // Don't deploy if on the ground (altitude too low)
-        if (this.altitude <= 5) {
+        if (this.getHeightAboveGround(this.position) <= 5) {
             console.log('Cannot deploy parachute - skydiver is too close to the ground!');
             return;
         }
 
+        // The drogue extracts the main and stops producing drag
+        if (this.drogueOpen) {
+            this.releaseDrogue();
+        }
+
+        this.recordEvent('deploy', { speed: this.velocity.length() });
+        this.openCanopy(this.canopy, this.pickMalfunction());
+    }
+
+    // Reserve deployment (from freefall, drogue fall or after a cutaway)
+    deployReserve() {
+        if (!this.canDeployReserve()) {
+            console.log(this.parachuteOpen
+                ? 'Cannot deploy reserve - cut away the main first!'
+                : 'Cannot deploy reserve now');
+            return;
+        }
+
+        if (this.drogueOpen) {
+            this.releaseDrogue();
+        }
+
+        this.reserveDeployed = true;
+        this.recordEvent('reserve-deploy', { speed: this.velocity.length() });
+        this.openCanopy(this.reserve, null);
+    }
+
+    // Start inflating a canopy from the catalog, with an optional malfunction
+    openCanopy(canopy, malfunction) {
         this.state = ParachuteState.OPENING;
         this.parachuteOpen = true;
-        this.parachuteDeployTime = Date.now();
+        this.parachuteDeployTime = this.getSimulationTime();
+        this.activeCanopy = canopy;
+        this.canopyType = canopy.type;
+
+        // Filling time from the deployment airspeed and air density
+        const deploySpeed = this.getAirspeed();
+        this.openingDuration = this.calculateFillTime(canopy, deploySpeed);
+        this.openingShock = createOpeningShock(deploySpeed, this.openingDuration, this.airDensity);
+
+        // Canopy size and coefficients from the catalog entry
+        this.parachuteArea = canopy.area;
+        this.dragCoeffVertical = canopy.dragCoeffVertical;
+        this.dragCoeffHorizontal = canopy.dragCoeffHorizontal;
+        this.liftCoeff = canopy.liftCoeff;
+
+        if (this.canopyType === CanopyType.RAM_AIR) {
+            // Ram-air canopy flies off along the current direction of travel
+            const horizontalSpeed = Math.hypot(this.velocity.x, this.velocity.z);
+            if (horizontalSpeed > 1) {
+                this.heading = Math.atan2(this.velocity.z, this.velocity.x);
+            }
+        }
 
-        // Set parachute area (round parachute)
-        this.parachuteArea = PHYSICS_CONSTANTS.PARACHUTE_AREA_ROUND;
+        this.malfunction = malfunction;
+        this.spinRate = 0;
+        if (malfunction) {
+            this.applyMalfunction(malfunction);
+        }
 
-        // Update drag coefficients
-        this.dragCoeffVertical = PHYSICS_CONSTANTS.DRAG_COEFF_VERTICAL_PARACHUTE;
-        this.dragCoeffHorizontal = PHYSICS_CONSTANTS.DRAG_COEFF_HORIZONTAL_PARACHUTE;
+        this.createCanopyBody(canopy);
     }
 
-    // Main physics update
+    // Launch the canopy as its own body at line length, trailing the jumper in the airflow.
+    // Its drag / lift act on it and reach the jumper through the elastic suspension line,
+    // so line stretch, swing and oscillation after opening come out of the dynamics.
+    createCanopyBody(canopy) {
+        const jumper = this.attachedBody;
+        if (!jumper || !this.world) return;
+
+        this.removeCanopyBody();
+
+        const airVelocity = jumper.velocity.clone().sub(this.updateWindVelocity(jumper.position));
+        const lineDirection = airVelocity.lengthSq() > 1
+            ? airVelocity.normalize().negate()
+            : new THREE.Vector3(0, 1, 0);
+
+        const canopyBody = new CustomPhysicsBody(
+            canopy.mass,
+            jumper.position.clone().addScaledVector(lineDirection, canopy.lineLength)
+        );
+        canopyBody.setVelocity(jumper.velocity);
+        canopyBody.enforceBoundaries = jumper.enforceBoundaries;
+        canopyBody.addForceGenerator(this.canopyForceGenerator);
+        canopyBody.windSampler = this.windSampler;
+
+        // The canopy's share of the exit weight now hangs on the lines
+        jumper.mass = Math.max(1, this.mass - canopy.mass);
+        jumper.updateMassProperties();
+
+        const stiffness = PHYSICS_CONSTANTS.LINE_AXIAL_STIFFNESS / canopy.lineLength;
+        const damping = 2 * PHYSICS_CONSTANTS.LINE_DAMPING_RATIO * Math.sqrt(stiffness * canopy.mass);
+        const harness = new THREE.Vector3(0, PHYSICS_CONSTANTS.HARNESS_OFFSET, 0);
+        this.suspensionLine = new ElasticLine(jumper, canopyBody, canopy.lineLength, stiffness, damping, harness);
+
+        // Risers start twisted by however far the jumper faces away from the canopy,
+        // plus whole turns for a line-twist malfunction
+        const twists = this.malfunction && this.malfunction.twists ? this.malfunction.twists : 0;
+        this.riserTwist = wrapAngle(this.heading - getBodyHeading(jumper)) + twists * 2 * Math.PI;
+
+        this.world.addBody(canopyBody);
+        this.world.addConstraint(this.suspensionLine);
+        this.canopyBody = canopyBody;
+    }
+
+    // Take the canopy body and its line out of the world (cutaway, reset)
+    removeCanopyBody() {
+        if (this.canopyBody) {
+            this.world.removeBody(this.canopyBody);
+            this.canopyBody = null;
+        }
+        if (this.suspensionLine) {
+            this.world.removeConstraint(this.suspensionLine);
+            this.suspensionLine = null;
+        }
+        if (this.attachedBody) {
+            this.attachedBody.mass = this.mass;
+            this.attachedBody.updateMassProperties();
+        }
+        this.riserTwist = 0;
+    }
+
+    // Interpolated canopy position for rendering, null without a canopy body
+    getCanopyPosition() {
+        return this.canopyBody ? this.canopyBody.interpolatedPosition : null;
+    }
+
+    // Malfunction for the next main deployment: the forced type, or a random one
+    pickMalfunction() {
+        const types = Object.keys(MALFUNCTIONS);
+
+        if (this.malfunctionSetting === RANDOM_MALFUNCTION) {
+            return MALFUNCTIONS[this.malfunctionRandom.choice(types)];
+        }
+        if (this.malfunctionSetting !== MalfunctionType.NONE) {
+            return getMalfunction(this.malfunctionSetting);
+        }
+        if (this.malfunctionProbability > 0 && this.malfunctionRandom.next() < this.malfunctionProbability) {
+            return MALFUNCTIONS[this.malfunctionRandom.choice(types)];
+        }
+        return null;
+    }
+
+    // Reduce the canopy to what a malfunction leaves of it
+    applyMalfunction(malfunction) {
+        if (malfunction.dragArea !== undefined) {
+            this.parachuteArea = malfunction.dragArea / this.dragCoeffVertical;
+        } else {
+            this.parachuteArea *= malfunction.areaFactor;
+        }
+        this.liftCoeff *= malfunction.liftFactor;
+
+        // A canopy that never leaves the container is a malfunction right away
+        if (!malfunction.inflates) {
+            this.declareMalfunction();
+        }
+    }
+
+    declareMalfunction() {
+        this.state = ParachuteState.MALFUNCTION;
+        this.spinRate = this.malfunction.spinRate;
+        this.recordEvent('malfunction', { malfunction: this.malfunction.type });
+        console.log(`⚠️ Malfunction: ${this.malfunction.name}`);
+    }
+
+    // Release the main canopy (whether it malfunctioned or not)
+    cutaway() {
+        if (!this.canCutaway()) {
+            console.log('Nothing to cut away');
+            return;
+        }
+
+        this.state = ParachuteState.CUTAWAY;
+        this.parachuteOpen = false;
+        this.removeCanopyBody();
+        this.parachuteArea = 0;
+        this.dragCoeffVertical = PHYSICS_CONSTANTS.DRAG_COEFF_VERTICAL_FREEFALL;
+        this.dragCoeffHorizontal = PHYSICS_CONSTANTS.DRAG_COEFF_HORIZONTAL_FREEFALL;
+        this.liftCoeff = 0;
+        this.activeCanopy = null;
+        this.malfunction = null;
+        this.spinRate = 0;
+        this.recordEvent('cutaway', { speed: this.velocity.length() });
+    }
+
+    // Force a malfunction type (MalfunctionType, RANDOM_MALFUNCTION or none) on the next main deployment
+    setMalfunction(type) {
+        if (type !== MalfunctionType.NONE && type !== RANDOM_MALFUNCTION && !getMalfunction(type)) {
+            console.warn('Unknown malfunction:', type);
+            return false;
+        }
+        this.malfunctionSetting = type;
+        return true;
+    }
+
+    // Chance (0..1) of a random malfunction when none is forced, reproducible from the seed
+    setMalfunctionProbability(probability, seed = this.malfunctionRandom.seed) {
+        this.malfunctionProbability = Math.min(1, Math.max(0, probability));
+        this.malfunctionRandom.reset(seed);
+    }
+
+    // Drogue deployment (freefall only)
+    deployDrogue() {
+        if (this.state !== ParachuteState.FREEFALL) return;
+
+        if (this.getHeightAboveGround(this.position) <= 5) {
+            console.log('Cannot deploy drogue - skydiver is too close to the ground!');
+            return;
+        }
+
+        this.state = ParachuteState.DROGUE_OPENING;
+        this.drogueOpen = true;
+        this.drogueDeployTime = this.getSimulationTime();
+        this.drogueFillTime = this.calculateFillTime(this.drogue, this.getAirspeed());
+        this.recordEvent('drogue-deploy', { speed: this.velocity.length() });
+    }
+
+    // Drogue release (by the main deployment)
+    releaseDrogue() {
+        this.drogueOpen = false;
+        this.recordEvent('drogue-release', { speed: this.velocity.length() });
+    }
+
+    // Select the drogue used by the next drogue deployment (catalog id or spec object)
+    setDrogue(idOrSpec) {
+        const drogue = getCanopy(idOrSpec);
+        if (!drogue) {
+            console.warn('Unknown drogue:', idOrSpec);
+            return false;
+        }
+        if (this.state !== ParachuteState.FREEFALL) {
+            console.log('Drogue can only be changed before deployment');
+            return false;
+        }
+
+        this.drogue = drogue;
+        return true;
+    }
+
+    // Cd·A of the skydiver plus the fully inflated drogue (m²)
+    getDrogueDragArea() {
+        return this.getFreefallDragArea() + this.drogue.area * this.drogue.dragCoeffVertical;
+    }
+
+    // Skydiver + drogue drag from the airspeed; the drogue area grows with its inflation progress
+    calculateDrogueDrag(velocity, position = this.position) {
+        const airVelocity = velocity.clone().sub(this.updateWindVelocity(position));
+        const inflatedArea = this.drogue.area * Math.pow(Math.min(this.getDrogueProgress(), 1.0), this.drogue.inflationExponent);
+        const dragArea = this.getFreefallDragArea() + inflatedArea * this.drogue.dragCoeffVertical;
+        return this.calculateDrag(airVelocity, dragArea, 1);
+    }
+
+    // Select the canopy used by the next deployment (catalog id or spec object)
+    setCanopy(idOrSpec) {
+        const canopy = getCanopy(idOrSpec);
+        if (!canopy) {
+            console.warn('Unknown canopy:', idOrSpec);
+            return false;
+        }
+        if (this.state !== ParachuteState.FREEFALL) {
+            console.log('Canopy can only be changed before deployment');
+            return false;
+        }
+
+        this.canopy = canopy;
+        this.canopyType = canopy.type;
+        this.openingDuration = canopy.inflationTime;
+        console.log('Canopy set to:', canopy.name);
+        return true;
+    }
+
+    // Select the default catalog canopy for a planform (round or ram-air)
+    setCanopyType(type) {
+        if (!DEFAULT_CANOPY_FOR_TYPE[type]) {
+            console.warn('Unknown canopy type:', type);
+            return false;
+        }
+        return this.setCanopy(DEFAULT_CANOPY_FOR_TYPE[type]);
+    }
+
+    // Fit the ram-air CL / CD to a trim horizontal airspeed and glide ratio at the current mass
+    setGlidePolar(trimSpeed, glideRatio) {
+        const canopy = this.getFlyingCanopy();
+        if (canopy.type !== CanopyType.RAM_AIR) return;
+
+        const coefficients = this.calculateGlideCoefficients(Math.max(1, trimSpeed), Math.max(0.5, glideRatio), canopy);
+        canopy.liftCoeff = coefficients.liftCoeff;
+        canopy.dragCoeffVertical = coefficients.dragCoeff;
+        canopy.dragCoeffHorizontal = coefficients.dragCoeff;
+
+        if (this.parachuteOpen && !this.malfunction) {
+            this.liftCoeff = coefficients.liftCoeff;
+            this.dragCoeffVertical = coefficients.dragCoeff;
+            this.dragCoeffHorizontal = coefficients.dragCoeff;
+        }
+    }
+
+    // Canopy that is out, or the selected main before deployment
+    getFlyingCanopy() {
+        return this.activeCanopy || this.canopy;
+    }
+
+    // Individual parachute forces for a sampled kinematic state
+    calculateForceBreakdown(position, velocity) {
+        const zero = new THREE.Vector3(0, 0, 0);
+
+        // Only apply parachute physics when actually falling (not on ground)
+        if (this.getHeightAboveGround(position) <= PHYSICS_CONSTANTS.GROUND_CONTACT_HEIGHT) {
+            return { gravity: zero.clone(), drag: zero.clone(), lift: zero.clone(), tension: zero.clone() };
+        }
+
+        if (!this.parachuteOpen && !this.drogueOpen) {
+            // Freefall: drag (and tracking lift) of the skydiver's body position
+            const body = this.calculateFreefallForces(velocity, position);
+            return {
+                gravity: this.calculateGravity(),
+                drag: body.drag,
+                lift: body.lift,
+                tension: zero.clone()
+            };
+        }
+
+        if (!this.parachuteOpen) {
+            // Drogue fall: stabilised by the drogue, skydiver and drogue drag together
+            return {
+                gravity: this.calculateGravity(),
+                drag: this.calculateDrogueDrag(velocity, position),
+                lift: zero.clone(),
+                tension: zero.clone()
+            };
+        }
+
+        // The canopy forces act at the canopy body when it flies on its own lines
+        const forces = this.canopyBody
+            ? this.calculateCanopyForceBreakdown(this.canopyBody.velocity, this.canopyBody.position)
+            : this.calculateCanopyForceBreakdown(velocity, position);
+        forces.gravity = this.calculateGravity();
+
+        // Rope tension: the stretched suspension line, or the whole canopy force without a canopy body
+        forces.tension = this.suspensionLine
+            ? this.suspensionLine.calculateForce()
+            : forces.drag.clone().add(forces.lift);
+        return forces;
+    }
+
+    // Aerodynamic forces of the open canopy from its airspeed at its position
+    calculateCanopyForceBreakdown(velocity, position) {
+        if (this.canopyType === CanopyType.RAM_AIR) {
+            return this.calculateGlideForces(velocity, position);
+        }
+
+        return {
+            // Drag of the inflated part of the canopy (don't override gravity)
+            drag: this.calculateCanopyDrag(velocity, position),
+            lift: new THREE.Vector3()
+        };
+    }
+
+    // Force generator of the canopy body; the canopy collapses once the jumper is down
+    calculateCanopyForces(position, velocity) {
+        if (!this.parachuteOpen || this.getHeightAboveGround(this.attachedBody.position) <= PHYSICS_CONSTANTS.GROUND_CONTACT_HEIGHT) {
+            return new THREE.Vector3();
+        }
+
+        const forces = this.calculateCanopyForceBreakdown(velocity, position);
+        return forces.drag.add(forces.lift);
+    }
+
+    // Net parachute force on the jumper for a sampled kinematic state
+    // Gravity is applied by the body and the tension is the canopy force itself,
+    // so both are reported in the breakdown but not added again here.
+    calculateForces(position, velocity) {
+        // A canopy body pulls the jumper through the suspension line (its own force generator)
+        if (this.canopyBody) return new THREE.Vector3();
+
+        const forces = this.calculateForceBreakdown(position, velocity);
+
+        // Combine forces
+        return new THREE.Vector3()
+            .add(forces.drag)
+            .add(forces.lift);
+    }
+
+    // Record a simulation event (deployment, landing, ...) in the telemetry log
+    recordEvent(type, details = {}) {
+        const event = {
+            type,
+            time: this.getSimulationTime(),
+            altitude: this.altitude,
+            state: this.state,
+            ...details
+        };
+        this.events.push(event);
+        return event;
+    }
+
+    // Register our forces with the physics body so every integrator stage re-samples them
+    attachBody(physicsBody) {
+        if (this.attachedBody === physicsBody) return;
+
+        if (this.attachedBody) {
+            this.attachedBody.removeForceGenerator(this.forceGenerator);
+            this.attachedBody.windSampler = null;
+        }
+
+        this.attachedBody = physicsBody;
+        physicsBody.addForceGenerator(this.forceGenerator);
+        physicsBody.windSampler = this.windSampler;
+    }
+
+    // Height of a position above the terrain under it (m)
+    getHeightAboveGround(position) {
+        const terrain = this.world ? this.world.terrain : null;
+        return terrain ? position.y - terrain.getHeight(position.x, position.z) : position.y;
+    }
+
+    // Simulated time from the world's clock (seconds)
+    getSimulationTime() {
+        return this.world ? this.world.time : 0;
+    }
+
+    // Canopy opening progress: 0 at deployment, 1 when fully open
+    getOpeningProgress() {
+        if (!this.parachuteOpen) return 0;
+        if (this.state === ParachuteState.DEPLOYED || this.state === ParachuteState.MALFUNCTION) return 1;
+
+        return (this.getSimulationTime() - this.parachuteDeployTime) / this.openingDuration;
+    }
+
+    // Drogue inflation progress: 0 at drogue deployment, 1 when inflated
+    getDrogueProgress() {
+        if (this.state === ParachuteState.DROGUE_OPENING) {
+            return (this.getSimulationTime() - this.drogueDeployTime) / this.drogueFillTime;
+        }
+        return this.drogueOpen ? 1 : 0;
+    }
+
+    // Main physics update (call once per fixed step, before the body is integrated)
     update(deltaTime, physicsBody) {
-        // Update time
-        const currentTime = Date.now();
-        const dt = deltaTime;
+        // Atmosphere at the altitude, height above the ground for the AAD
+        this.updateAltitude(physicsBody.position);
 
-        // Update environmental conditions based on altitude using the new function
-        this.updateEnvironmentalConditions(physicsBody.position.y);
+        // Check if the drogue has inflated (stabilised drogue fall)
+        if (this.state === ParachuteState.DROGUE_OPENING && this.getDrogueProgress() >= 1.0) {
+            this.state = ParachuteState.DROGUE;
+            this.recordEvent('drogue-open');
+        }
 
         // Check if parachute opening phase is complete
         if (this.state === ParachuteState.OPENING) {
-            const openingProgress = (currentTime - this.parachuteDeployTime) / (this.openingDuration * 1000);
-            if (openingProgress >= 1.0) {
-                this.state = ParachuteState.DEPLOYED;
+            this.trackOpeningShock(physicsBody);
+
+            if (this.getOpeningProgress() >= 1.0) {
+                if (this.malfunction) {
+                    this.declareMalfunction();
+                } else {
+                    this.state = ParachuteState.DEPLOYED;
+                    this.recordEvent('canopy-open', {
+                        reserve: this.reserveDeployed,
+                        fillTime: this.openingShock.fillTime,
+                        peakForce: this.openingShock.peakForce,
+                        peakLoadFactor: this.openingShock.peakLoadFactor
+                    });
+                }
             }
         }
 
+        // Malfunction spin (line twists, line-over) turns the canopy
+        if (this.state === ParachuteState.MALFUNCTION && this.spinRate !== 0) {
+            this.heading += this.spinRate * deltaTime;
+        }
+
+        // Toggle turns (lift and drag changes are applied in calculateGlideForces)
+        this.yawRate = this.getSteeringResponse().yawRate;
+        this.heading += this.yawRate * deltaTime;
+
+        this.applyJumperTorques(physicsBody);
+
         // Get current velocity from physics body
         this.velocity.set(
             physicsBody.velocity.x,
             physicsBody.velocity.y,
             physicsBody.velocity.z
         );
-
-        // Only apply parachute physics when actually falling (not on ground)
-        if (this.altitude > 10 && this.parachuteOpen) {
-            // Calculate drag force only (don't override gravity)
-            const dragForce = this.calculateDrag(
-                this.velocity,
-                this.parachuteOpen ? this.parachuteArea : PHYSICS_CONSTANTS.PARACHUTIST_AREA,
-                this.dragCoeffVertical
-            );
-
-            // Calculate wind force (only when parachute is open)
-            const windForce = this.calculateWind();
-
-            // Calculate tension force (rope tension)
-            const tensionForce = this.calculateTension();
-
-            // Calculate gravity force
-            const gravityForce = this.calculateGravity();
-
-            // Combine forces
-            const totalForce = new THREE.Vector3();
-            totalForce.add(gravityForce);
-            totalForce.add(dragForce);
-            totalForce.add(windForce);
-            totalForce.add(tensionForce);
-
-            // Apply combined force to physics body
-            physicsBody.applyForce(totalForce);
+        this.position.copy(physicsBody.position);
+        this.windField.advanceTurbulence(deltaTime, this.position, this.velocity);
+        this.airMassVerticalVelocity = this.windField.sampleSteady(this.position).y;
+        this.updateMachNumber();
+
+        // The bodies' built-in air resistance thins out with altitude too
+        const densityRatio = this.airDensity / PHYSICS_CONSTANTS.SEA_LEVEL_DENSITY;
+        physicsBody.airDensityRatio = densityRatio;
+        if (this.canopyBody) {
+            this.canopyBody.airDensityRatio = densityRatio;
         }
 
+        // Forces are sampled by the body's integrator through calculateForces
+        this.attachBody(physicsBody);
+        this.acceleration.copy(physicsBody.acceleration);
+
         // Update terminal velocity
         this.terminalVelocity = this.calculateTerminalVelocity().value;
 
@@ -318,8 +1182,45 @@ export class ParachutePhysics {
             this.exceedingTerminalLogged = false;
         }
 
-        // Update position reference
-        this.position.copy(physicsBody.position);
+        // AAD fires the reserve if the jumper is still falling fast below its activation altitude
+        this.aad.update();
+    }
+
+    // Jumper rotation: the twisted risers turn the jumper toward the canopy heading, so line
+    // twists unwind and canopy turns / malfunction spins carry the jumper round; air damps tilt
+    applyJumperTorques(physicsBody) {
+        if (physicsBody.fixedRotation) return;
+
+        const up = new THREE.Vector3(0, 1, 0);
+        const spin = physicsBody.angularVelocity.dot(up);  // counterclockwise from above, heading rate is -spin
+        const torque = new THREE.Vector3();
+
+        if (this.suspensionLine && this.getHeightAboveGround(physicsBody.position) > PHYSICS_CONSTANTS.GROUND_CONTACT_HEIGHT) {
+            // Keep whole turns: take the heading difference closest to the last twist
+            const headingDifference = this.heading - getBodyHeading(physicsBody);
+            this.riserTwist += wrapAngle(headingDifference - this.riserTwist);
+
+            const canopyTurnRate = this.yawRate + (this.state === ParachuteState.MALFUNCTION ? this.spinRate : 0);
+            const twistRate = canopyTurnRate + spin;
+
+            const limit = PHYSICS_CONSTANTS.MAX_RISER_TORQUE;
+            const springTorque = THREE.MathUtils.clamp(PHYSICS_CONSTANTS.RISER_TWIST_STIFFNESS * this.riserTwist, -limit, limit);
+            torque.y = -(springTorque + PHYSICS_CONSTANTS.RISER_TWIST_DAMPING * twistRate);
+        }
+
+        const tiltRate = physicsBody.angularVelocity.clone().addScaledVector(up, -spin);
+        torque.addScaledVector(tiltRate, -PHYSICS_CONSTANTS.BODY_TILT_DAMPING);
+        physicsBody.applyTorque(torque);
+    }
+
+    // Keep the largest line load seen while the canopy fills
+    trackOpeningShock(physicsBody) {
+        const force = this.calculateTension(physicsBody.position, physicsBody.velocity).length();
+        if (force <= this.openingShock.peakForce) return;
+
+        this.openingShock.peakForce = force;
+        this.openingShock.peakLoadFactor = force / (this.mass * PHYSICS_CONSTANTS.GRAVITY);
+        this.openingShock.peakTime = this.getSimulationTime() - this.parachuteDeployTime;
     }
 
     // Get current physics state
@@ -334,14 +1235,48 @@ export class ParachutePhysics {
             airDensity: this.airDensity,
             temperature: this.temperature,
             pressure: this.pressure,
+            relativeHumidity: this.relativeHumidity,
+            densityAltitude: this.getDensityAltitude(),
+            atmosphere: this.atmosphere.name,
             parachuteOpen: this.parachuteOpen,
+            drogueOpen: this.drogueOpen,
+            reserveDeployed: this.reserveDeployed,
+            bodyPosition: this.bodyPosition.id,
+            malfunction: this.malfunction ? this.malfunction.type : null,
+            aadStatus: this.aad.status,
+            canopyType: this.canopyType,
+            heading: this.heading,
+            yawRate: this.yawRate,
+            speedOfSound: this.speedOfSound,
+            machNumber: this.machNumber,
+            flowRegime: this.flowRegime,
+            turbulence: this.windField.turbulence.intensity.id,
+            gust: this.windField.turbulence.gust.clone(),
+            airMassVerticalVelocity: this.airMassVerticalVelocity,
+            riserTwist: this.riserTwist,
+            controlInputs: { ...this.controlInputs },
             tensionInfo: this.getTensionInfo()
         };
     }
 
     // Check if parachute can be deployed
     canDeployParachute() {
-        return this.state === ParachuteState.FREEFALL && this.altitude > 5;
+        return (this.state === ParachuteState.FREEFALL || isDrogueState(this.state)) && this.getHeightAboveGround(this.position) > 5;
+    }
+
+    // Check if the main can be cut away (main out, reserve not yet deployed)
+    canCutaway() {
+        return this.parachuteOpen && !this.reserveDeployed;
+    }
+
+    // Check if the reserve can be deployed (never with the main still out)
+    canDeployReserve() {
+        return !this.parachuteOpen && !this.reserveDeployed && this.getHeightAboveGround(this.position) > 5;
+    }
+
+    // Check if the drogue can be deployed
+    canDeployDrogue() {
+        return this.state === ParachuteState.FREEFALL && this.getHeightAboveGround(this.position) > 5;
     }
 
     // Get detailed environmental information
@@ -351,6 +1286,9 @@ export class ParachutePhysics {
             temperature: this.temperature,
             pressure: this.pressure,
             airDensity: this.airDensity,
+            relativeHumidity: this.relativeHumidity,
+            densityAltitude: this.getDensityAltitude(),
+            atmosphere: this.atmosphere.name,
             temperatureFahrenheit: (this.temperature * 9 / 5) + 32,
             pressurePSI: this.pressure / 6894.76, // Convert Pa to PSI
             airDensityLbPerCubicFt: this.airDensity * 0.062428 // Convert kg/m³ to lb/ft³
@@ -361,6 +1299,7 @@ export class ParachutePhysics {
     getTensionInfo() {
         const tensionForce = this.calculateTension();
         const tensionMagnitude = tensionForce.length();
+        const shock = this.openingShock;
 
         return {
             tensionForce: tensionForce.clone(),
@@ -369,35 +1308,48 @@ export class ParachutePhysics {
             tensionPounds: tensionMagnitude * 0.224809, // Convert N to lbs
             tensionKilograms: tensionMagnitude / PHYSICS_CONSTANTS.GRAVITY, // Convert N to kg
             isTensionActive: this.parachuteOpen,
-            tensionPercentage: this.parachuteOpen ? (tensionMagnitude / (this.mass * PHYSICS_CONSTANTS.GRAVITY)) * 100 : 0
+            tensionPercentage: this.parachuteOpen ? (tensionMagnitude / (this.mass * PHYSICS_CONSTANTS.GRAVITY)) * 100 : 0,
+            // Opening shock of the last deployment
+            deploySpeed: shock.deploySpeed,
+            fillTime: shock.fillTime,
+            peakOpeningForce: shock.peakForce,
+            peakOpeningForcePounds: shock.peakForce * 0.224809,
+            peakLoadFactor: shock.peakLoadFactor, // g
+            peakTime: shock.peakTime              // s after deployment
         };
     }
 
 
     //Vt(h) = √[(2 × m × g) / (ρ(h) × A × Cd)]
     getAltitudeTerminalVelocityAnalysis() {
-        const altitudes = [0, 1000, 2000, 3000, 4000, 5000, 6000, 7000, 8000, 9000, 10000];
+        const altitudes = [0, 1000, 2000, 3000, 4000, 5000, 6000, 7000, 8000, 9000, 10000,
+            15000, 20000, 25000, 30000, 35000, 40000];
         const analysis = [];
 
         altitudes.forEach(alt => {
-            const temp = this.calculateTemperature(alt);
-            const pressure = this.calculatePressure(alt, temp);
-            const airDensity = this.calculateAirDensity(pressure, temp);
+            const { temperature: temp, pressure, density: airDensity, speedOfSound, layer } = this.atmosphere.sample(alt);
 
             // Calculate terminal velocity for both freefall and parachute states
-            const freefallTerminal = Math.sqrt((2 * this.mass * PHYSICS_CONSTANTS.GRAVITY) /
-                (airDensity * PHYSICS_CONSTANTS.PARACHUTIST_AREA * PHYSICS_CONSTANTS.DRAG_COEFF_VERTICAL_FREEFALL));
+            const freefallTerminal = this.getFreefallTerminalVelocity(airDensity, speedOfSound);
 
-            const parachuteTerminal = Math.sqrt((2 * this.mass * PHYSICS_CONSTANTS.GRAVITY) /
-                (airDensity * (this.parachuteArea || PHYSICS_CONSTANTS.PARACHUTE_AREA_ROUND) *
-                    PHYSICS_CONSTANTS.DRAG_COEFF_VERTICAL_PARACHUTE));
+            const drogueTerminal = Math.sqrt((2 * this.mass * PHYSICS_CONSTANTS.GRAVITY) /
+                (airDensity * this.getDrogueDragArea()));
+
+            const parachuteTerminal = this.canopy.type === CanopyType.RAM_AIR
+                ? this.getGlidePolar(this.canopy).airspeed * Math.sqrt(PHYSICS_CONSTANTS.SEA_LEVEL_DENSITY / airDensity)
+                : Math.sqrt((2 * this.mass * PHYSICS_CONSTANTS.GRAVITY) /
+                    (airDensity * this.canopy.area * this.canopy.dragCoeffVertical));
 
             analysis.push({
                 altitude: alt,
+                layer: layer,
                 temperature: temp,
                 pressure: pressure,
                 airDensity: airDensity,
+                speedOfSound: speedOfSound,
                 freefallTerminal: freefallTerminal,
+                freefallMach: freefallTerminal / speedOfSound,
+                drogueTerminal: drogueTerminal,
                 parachuteTerminal: parachuteTerminal
             });
         });
@@ -405,7 +1357,7 @@ export class ParachutePhysics {
         return analysis;
     }
 
-    // Set wind conditions
+    // Set wind conditions (the same wind at every height)
     setWind(strength, direction) {
         this.windStrength = Math.max(0, strength); // Ensure wind strength is never negative
         this.windDirection = direction;
@@ -414,14 +1366,47 @@ export class ParachutePhysics {
         if (this.windStrength < 0.5) {
             this.windStrength = 0;
         }
+        this.windField.setProfile(WindProfile.uniform(this.windStrength, this.windDirection));
 
         console.log(`Wind set to: ${this.windStrength.toFixed(1)} m/s at ${(this.windDirection * 180 / Math.PI).toFixed(1)}°`);
     }
 
+    // Wind by height: surface wind, winds aloft and boundary layer (see windProfile.js)
+    setWindProfile(profile) {
+        this.windField.setProfile(profile);
+        this.windStrength = profile.surface.strength;
+        this.windDirection = profile.surface.direction;
+
+        const aloft = profile.levels.map(level =>
+            `${level.strength.toFixed(1)} m/s ${(level.direction * 180 / Math.PI).toFixed(0)}° at ${level.altitude.toFixed(0)} m`);
+        console.log(`Wind profile: surface ${this.windStrength.toFixed(1)} m/s at ${(this.windDirection * 180 / Math.PI).toFixed(0)}°` +
+            (aloft.length ? `, ${aloft.join(', ')}` : '') + ` (${profile.boundaryLayer.type} boundary layer)`);
+    }
+
+    // Thermals and sink zones: zone specs { x, z, radius, strength, height } or a preset id
+    setThermals(zones) {
+        const thermals = this.windField.thermals;
+        if (!thermals.setZones(zones)) return false;
+        this.windField.invalidate();
+        const lift = thermals.zones.filter(zone => !zone.isSink()).length;
+        console.log(`Thermals set: ${lift} updrafts, ${thermals.zones.length - lift} sink zones`);
+        return true;
+    }
+
+    // Turbulence intensity (none, light, moderate, severe) and gust seed
+    setTurbulence(intensity, seed = this.windField.turbulence.random.seed) {
+        const turbulence = this.windField.turbulence;
+        if (!turbulence.setIntensity(intensity)) return false;
+        turbulence.reset(seed);
+        console.log(`Turbulence set to: ${turbulence.intensity.name} (seed ${seed})`);
+        return true;
+    }
+
     // Disable wind completely
     disableWind() {
         this.windStrength = 0;
         this.windDirection = 0;
+        this.windField.setProfile(WindProfile.uniform(0, 0));
         console.log('Wind disabled');
     }
 
@@ -430,14 +1415,36 @@ export class ParachutePhysics {
     reset() {
         this.state = ParachuteState.FREEFALL;
         this.parachuteOpen = false;
+        this.drogueOpen = false;
+        this.drogueDeployTime = 0;
+        this.reserveDeployed = false;
+        this.activeCanopy = null;
+        this.malfunction = null;
+        this.spinRate = 0;
+        this.machNumber = 0;
+        this.maxMachNumber = 0;
+        this.flowRegime = FlowRegime.SUBSONIC;
+        this.windField.turbulence.reset();
+        this.airMassVerticalVelocity = 0;
+        this.aad.reset();
+        this.releaseControls();
+        this.removeCanopyBody();
+        this.bodyPosition = getBodyPosition(DEFAULT_BODY_POSITION);
+        this.canopyType = this.canopy.type;
+        this.openingDuration = this.canopy.inflationTime;
+        this.drogueFillTime = this.drogue.inflationTime;
+        this.openingShock = createOpeningShock();
         this.parachuteArea = 0;
         this.dragCoeffVertical = PHYSICS_CONSTANTS.DRAG_COEFF_VERTICAL_FREEFALL;
         this.dragCoeffHorizontal = PHYSICS_CONSTANTS.DRAG_COEFF_HORIZONTAL_FREEFALL;
+        this.liftCoeff = 0;
+        this.heading = -Math.PI / 2;
         this.velocity.set(0, 0, 0);
         this.acceleration.set(0, 0, 0);
         this.terminalVelocity = this.calculateTerminalVelocity().value;
         this.parachuteDeployTime = 0;
         this.lastLoggedAltitude = 0;
+        this.events = [];
 
         // Reset terminal velocity logging flags
         this.terminalVelocityLogged = false;
@@ -465,13 +1472,15 @@ export class ParachutePhysics {
 
         altitudes.forEach(alt => {
             if (alt <= PHYSICS_CONSTANTS.MAX_ALTITUDE) {
-                const temp = this.calculateTemperature(alt);
-                const pressure = this.calculatePressure(alt, temp);
-                const airDensity = this.calculateAirDensity(pressure, temp);
+                const airDensity = this.calculateAirDensity(alt);
 
+                const dragArea = this.parachuteOpen
+                    ? this.parachuteArea * this.dragCoeffVertical
+                    : this.drogueOpen
+                        ? this.getDrogueDragArea()
+                        : this.getFreefallDragArea();
                 const predictedTerminal = Math.sqrt((2 * this.mass * PHYSICS_CONSTANTS.GRAVITY) /
-                    (airDensity * (this.parachuteOpen ? this.parachuteArea : PHYSICS_CONSTANTS.PARACHUTIST_AREA) *
-                        (this.parachuteOpen ? PHYSICS_CONSTANTS.DRAG_COEFF_VERTICAL_PARACHUTE : PHYSICS_CONSTANTS.DRAG_COEFF_VERTICAL_FREEFALL)));
+                    (airDensity * dragArea));
 
                 predictions.push({
                     altitude: alt,
@@ -512,15 +1521,13 @@ export function calculateLandingSpeed(initialHeight, finalHeight = 0) {
     const height = initialHeight - finalHeight;
     return Math.sqrt(2 * PHYSICS_CONSTANTS.GRAVITY * height);
 }
-// ρ(h) = (P(h) × M) / (R × T(h))
-export function calculateAirDensityAtAltitude(altitude) {
-    const temp = 15 - 0.0065 * altitude; // Standard temperature lapse rate
-    const pressure = 101325 * Math.exp(-0.00012 * altitude); // Simplified pressure formula
-    return (pressure * 0.02897) / (8.314 * (temp + 273.15));
+// ρ(h) from an atmosphere model (ISA by default)
+export function calculateAirDensityAtAltitude(altitude, atmosphere = ISA) {
+    return atmosphere.sample(altitude).density;
 }
 
 // Vt(h) = √[(2 × m × g) / (ρ(h) × A × Cd)]
-export function calculateTerminalVelocityAtAltitude(mass, area, dragCoeff, altitude) {
-    const airDensity = calculateAirDensityAtAltitude(altitude);
+export function calculateTerminalVelocityAtAltitude(mass, area, dragCoeff, altitude, atmosphere = ISA) {
+    const airDensity = calculateAirDensityAtAltitude(altitude, atmosphere);
     return Math.sqrt((2 * mass * 9.81) / (airDensity * area * dragCoeff));
 }
@@ -2,6 +2,7 @@ import * as THREE from "three";
 import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
 import { CustomPhysicsBody } from "./customPhysics.js";
 import { ParachuteModel } from "./parachuteModel.js";
+import { DEFAULT_DROGUE_ID, getCanopy } from "./canopyCatalog.js";
 
 let mixer = null;
 let person = null;
@@ -13,10 +14,14 @@ let physicBody = null;
 let hasPlayedLandingAnimation = false;
 let hasStarted = false;
 let moveStartTime = null;
-let targetZ = 50;
 let isJumping = false;
 let parachuteModel = null;
 let parachuteDeployed = false;
+let deployedCanopy = null; // catalog entry shown by the parachute model
+let drogueDeployed = false;
+let jumpStartTime = null; // Simulated time at which the scheduled jump starts
+let bodyPosition = null; // freefall body position entry (bodyPositions.js), null for the default sequence
+const bodyPitch = new THREE.Quaternion();
 
 // Define the desired animation sequence
 const ANIMATION_SEQUENCE = ['jump', 'fall', 'idle', 'land'];
@@ -50,7 +55,8 @@ export function addPerson(scene, world) {
 
         // Set initial state
         physicBody.setVelocity(new THREE.Vector3(0, 0, 0)); // Start with no velocity
-        physicBody.quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI);
+        physicBody.setOrientation(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI));
+        physicBody.fixedRotation = false; // risers and canopy turns rotate the jumper
         world.addBody(physicBody);
 
         // Ensure the body is active and awake
@@ -69,81 +75,16 @@ export function addPerson(scene, world) {
         parachuteModel = new ParachuteModel();
         const parachuteGroup = parachuteModel.createParachute();
         scene.add(parachuteGroup);
+        scene.add(parachuteModel.createDrogue(getCanopy(DEFAULT_DROGUE_ID)));
 
-        // Start jump after delay
-        setTimeout(() => {
-            isJumping = true;
-            if (physicBody) {
-                // Initial jump impulse - ensure the body actually moves
-                physicBody.setVelocity(new THREE.Vector3(0, -1, -20)); // Stronger upward and forward momentum
-                console.log("Starting jump! Position:", physicBody.position, "Velocity:", physicBody.velocity);
-
-                // Force the body to be active and ensure it's not sleeping
-                physicBody.wakeUp();
-                physicBody.sleepSpeedLimit = 0.1; // Lower sleep threshold
-                physicBody.sleepTimeLimit = 0.1; // Lower sleep time threshold
+        // Start jump after delay (in simulated time, so pausing also delays the jump)
+        world.addStepListener(() => {
+            if (jumpStartTime !== null && world.time >= jumpStartTime) {
+                jumpStartTime = null;
+                startJump();
             }
-        }, 1000);
-
-        // Update function for movement and animations
-        person.update = (deltaTime) => {
-            if (mixer) mixer.update(deltaTime);
-
-            if (physicBody && isJumping) {
-                // Keep moving forward while in the air
-                const currentVelocity = physicBody.velocity.clone();
-                currentVelocity.z = -20;
-                physicBody.setVelocity(currentVelocity);
-                // physicBody.position.y = 457.5;
-                // Update model
-                person.position.copy(physicBody.position);
-                person.rotation.y = Math.PI;
-
-                // Check for landing
-                if (!hasPlayedLandingAnimation && physicBody.position.y <= 3 && physicBody.velocity.y < 0) {
-                    console.log('Landing triggered at height:', physicBody.position.y);
-                    hasPlayedLandingAnimation = true;
-                    isJumping = false;
-
-                    // Hide parachute when landing
-                    if (parachuteModel && parachuteDeployed) {
-                        parachuteModel.hide();
-                        parachuteDeployed = false;
-                        console.log('Parachute hidden due to landing');
-                    }
-
-                    // Play landing animation
-                    if (currentAction) {
-                        currentAction.fadeOut(0.2);
-                    }
-                    currentAnimationIndex = ANIMATION_SEQUENCE.indexOf('land');
-                    if (currentAnimationIndex !== -1) {
-                        playNextAnimation();
-                    }
-
-                    // Stop forward movement
-                    const currentVelocity = physicBody.velocity.clone();
-                    currentVelocity.z = 0;
-                    physicBody.setVelocity(currentVelocity);
-                }
-
-                // Ground contact
-                if (physicBody.position.y < 1) {
-                    physicBody.setPosition(new THREE.Vector3(physicBody.position.x, 1, physicBody.position.z));
-                    physicBody.setVelocity(new THREE.Vector3(0, 0, 0));
-                    isJumping = false;
-                }
-
-                // Check if reached target
-                if (physicBody.position.z <= targetZ) {
-                    physicBody.setPosition(new THREE.Vector3(physicBody.position.x, physicBody.position.y, targetZ));
-                    const currentVelocity = physicBody.velocity.clone();
-                    currentVelocity.z = 0;
-                    physicBody.setVelocity(currentVelocity);
-                    isJumping = false;
-                }
-            }
-        };
+        });
+        scheduleJump(1);
 
         // Start animation immediately
         if (animations.length > 0) {
@@ -153,6 +94,25 @@ export function addPerson(scene, world) {
         }
     });
 
+    // Schedule the jump to start after delay seconds of simulated time
+    function scheduleJump(delay) {
+        jumpStartTime = world.time + delay;
+    }
+
+    function startJump() {
+        isJumping = true;
+        if (physicBody) {
+            // Initial jump impulse - ensure the body actually moves
+            physicBody.setVelocity(new THREE.Vector3(0, -1, -20)); // Stronger upward and forward momentum
+            console.log("Starting jump! Position:", physicBody.position, "Velocity:", physicBody.velocity);
+
+            // Force the body to be active and ensure it's not sleeping
+            physicBody.wakeUp();
+            physicBody.sleepSpeedLimit = 0.1; // Lower sleep threshold
+            physicBody.sleepTimeLimit = 0.1; // Lower sleep time threshold
+        }
+    }
+
     function findAnimationByName(name) {
         return animations.find(anim => anim.name.toLowerCase() === name.toLowerCase());
     }
@@ -217,6 +177,29 @@ export function addPerson(scene, world) {
         });
     }
 
+    // Loop the body position's clip; models without it keep the current animation
+    function playBodyPositionAnimation(position) {
+        const clip = findAnimationByName(position.animation);
+        if (!mixer || !clip) {
+            if (animations.length > 0) {
+                console.warn(`Animation "${position.animation}" not found in model`);
+            }
+            return;
+        }
+
+        if (currentAction) {
+            currentAction.fadeOut(0.3);
+        }
+        currentAction = mixer.clipAction(clip);
+        currentAction.setLoop(THREE.LoopRepeat);
+        currentAction.clampWhenFinished = false;
+        currentAction.reset()
+            .setEffectiveTimeScale(1)
+            .setEffectiveWeight(1)
+            .fadeIn(0.3)
+            .play();
+    }
+
     function update(deltaTime) {
         // Update animations
         if (mixer) {
@@ -233,18 +216,14 @@ export function addPerson(scene, world) {
             //     // physicBody.position.z = 190;    
             // }
 
-            //sync physical body with the 3js model
-            person.position.copy(new THREE.Vector3(
-                physicBody.position.x,
-                physicBody.position.y,
-                physicBody.position.z
-            ));
-            person.quaternion.copy(new THREE.Quaternion(
-                physicBody.quaternion.x,
-                physicBody.quaternion.y,
-                physicBody.quaternion.z,
-                physicBody.quaternion.w
-            ));
+            //sync physical body with the 3js model (interpolated between fixed physics steps)
+            person.position.copy(physicBody.interpolatedPosition);
+            person.quaternion.copy(physicBody.interpolatedQuaternion);
+
+            // Tilt the model for head-down, sit and track while still in freefall
+            if (bodyPosition && bodyPosition.pitch !== 0 && !parachuteDeployed && !hasPlayedLandingAnimation) {
+                person.quaternion.multiply(bodyPitch.setFromAxisAngle(new THREE.Vector3(1, 0, 0), bodyPosition.pitch));
+            }
 
             // Debug: Check if physics body is actually moving
             // if (isJumping && physicBody.position.y < 199) {
@@ -254,16 +233,22 @@ export function addPerson(scene, world) {
             // Check if person is close to the ground and hasn't played landing animation yet
             if (!hasPlayedLandingAnimation && animations.length > 0) {
                 // Check for landing in a range rather than exact height
-                if (physicBody.position.y <= 3 && physicBody.velocity.y < 0) {
-                    console.log('Triggering land animation at height:', physicBody.position.y);
+                const heightAboveGround = physicBody.position.y - physicBody.getGroundHeight();
+                if (heightAboveGround <= 3 && physicBody.velocity.y < 0) {
+                    console.log('Triggering land animation at height:', heightAboveGround);
                     hasPlayedLandingAnimation = true;
 
                     // Hide parachute when landing
                     if (parachuteModel && parachuteDeployed) {
                         parachuteModel.hide();
                         parachuteDeployed = false;
+                        deployedCanopy = null;
                         console.log('Parachute hidden due to landing');
                     }
+                    if (parachuteModel && drogueDeployed) {
+                        parachuteModel.hideDrogue();
+                        drogueDeployed = false;
+                    }
 
                     // Stop any current animation
                     if (currentAction) {
@@ -276,30 +261,36 @@ export function addPerson(scene, world) {
                         playNextAnimation();
                     }
 
-                    // Slow down horizontal movement
-                    const currentVelocity = physicBody.velocity.clone();
-                    currentVelocity.z *= 0.5;
-                    physicBody.setVelocity(currentVelocity);
+                    // Velocity is left to the physics: the touchdown is assessed at ground
+                    // contact (landingAssessment.js) and ground friction stops the slide
                 }
             }
 
+            // Drogue trails above the skydiver until the main is deployed
+            if (parachuteModel && drogueDeployed) {
+                parachuteModel.updateDroguePosition(person.position);
+            }
+
+            // A cut away main drifts off on its own
+            if (parachuteModel) {
+                parachuteModel.updateReleasedCanopy(deltaTime);
+            }
+
             // Update parachute position and effects only when deployed and visible
             if (parachuteModel && parachuteDeployed && parachuteModel.isVisible) {
-                parachuteModel.updatePosition(person.position);
-                // parachuteModel.applyWindEffect(5, 0); // Default wind effect
-                // Get wind values from physics system
-                if (window.physicsControls && window.physicsControls.windControls) {
-                    const windStrength = window.physicsControls.windControls.windStrength || 0;
-                    const windDirection = (window.physicsControls.windControls.windDirection || 0) * (Math.PI / 180); // Convert degrees to radians
-                    parachuteModel.applyWindEffect(windStrength, windDirection);
-                }
+                // Canopy body from the two-body physics (wind drift and swing come from the forces)
+                const canopyPosition = window.physicsControls && window.physicsControls.parachutePhysics
+                    ? window.physicsControls.parachutePhysics.getCanopyPosition()
+                    : null;
+                parachuteModel.updatePosition(person.position, canopyPosition);
             }
 
             // Prevent micro-bouncing when on ground
-            if (physicBody.position.y < 1) {
+            const groundLevel = physicBody.getGroundHeight() + 1;
+            if (physicBody.position.y < groundLevel) {
                 physicBody.setVelocity(new THREE.Vector3(0, 0, 0));
                 physicBody.angularVelocity.set(0, 0, 0);
-                physicBody.setPosition(new THREE.Vector3(physicBody.position.x, 1, physicBody.position.z)); // Force position to exactly 1
+                physicBody.setPosition(new THREE.Vector3(physicBody.position.x, groundLevel, physicBody.position.z)); // Force position to exactly 1 m above the terrain
             }
         }
     }
@@ -336,7 +327,7 @@ export function addPerson(scene, world) {
                 ));
             }
         },
-        deployParachute: () => {
+        deployParachute: (canopy = null) => {
             // Don't deploy parachute if the person has landed
             if (hasPlayedLandingAnimation) {
                 console.log('Cannot deploy parachute - skydiver has already landed!');
@@ -345,31 +336,90 @@ export function addPerson(scene, world) {
 
             if (parachuteModel && !parachuteDeployed) {
                 parachuteDeployed = true;
+                deployedCanopy = canopy;
+
+                // Back to the default freefall clip under canopy
+                if (bodyPosition) {
+                    bodyPosition = null;
+                    currentAnimationIndex = ANIMATION_SEQUENCE.indexOf('idle');
+                    playNextAnimation();
+                }
+                if (canopy) {
+                    parachuteModel.setCanopy(canopy);
+                }
                 parachuteModel.show();
+
+                // The main deployment releases the drogue
+                if (drogueDeployed) {
+                    parachuteModel.hideDrogue();
+                    drogueDeployed = false;
+                    console.log('Drogue released');
+                }
                 console.log('Parachute deployed!');
             }
         },
+        deployDrogue: (drogue = null) => {
+            if (hasPlayedLandingAnimation) {
+                console.log('Cannot deploy drogue - skydiver has already landed!');
+                return;
+            }
+
+            if (parachuteModel && !drogueDeployed && !parachuteDeployed) {
+                drogueDeployed = true;
+                if (drogue) {
+                    parachuteModel.setDrogue(drogue);
+                }
+                parachuteModel.showDrogue();
+                console.log('Drogue deployed!');
+            }
+        },
+        cutaway: () => {
+            if (parachuteModel && parachuteDeployed) {
+                parachuteModel.cutaway();
+                parachuteDeployed = false;
+                deployedCanopy = null;
+                console.log('✂️ Main canopy cut away');
+            }
+        },
         hideParachute: () => {
             if (parachuteModel && parachuteDeployed) {
                 parachuteModel.hide();
                 parachuteDeployed = false;
+                deployedCanopy = null;
                 console.log('Parachute manually hidden');
             }
         },
+        // Body position entry from bodyPositions.js; only changes the pose in freefall
+        setBodyPosition: (position) => {
+            if (!position || position === bodyPosition) return;
+            if (!bodyPosition && position.pitch === 0 && position.animation === 'idle') return; // default pose
+            if (hasPlayedLandingAnimation || parachuteDeployed || !isJumping) return;
+
+            bodyPosition = position;
+            playBodyPositionAnimation(position);
+        },
         getParachuteModel: () => parachuteModel,
         isParachuteDeployed: () => parachuteDeployed,
+        getDeployedCanopy: () => deployedCanopy,
+        isDrogueDeployed: () => drogueDeployed,
         hasLanded: () => hasPlayedLandingAnimation,
         canDeployParachute: () => !hasPlayedLandingAnimation && !parachuteDeployed,
+        canDeployDrogue: () => !hasPlayedLandingAnimation && !parachuteDeployed && !drogueDeployed,
         resetPerson: () => {
             // Reset all person state
             hasPlayedLandingAnimation = false;
             isJumping = false;
             parachuteDeployed = false;
+            deployedCanopy = null;
+            drogueDeployed = false;
+            bodyPosition = null;
             currentAnimationIndex = 0;
 
             // Reset parachute model
             if (parachuteModel) {
                 parachuteModel.hide();
+                parachuteModel.hideDrogue();
+                parachuteModel.removeReleasedCanopy();
             }
 
             // Reset animation
@@ -385,19 +435,7 @@ export function addPerson(scene, world) {
             }
 
             // Schedule the jump to start again after a delay
-            setTimeout(() => {
-                isJumping = true;
-                if (physicBody) {
-                    // Initial jump impulse - ensure the body actually moves
-                    physicBody.setVelocity(new THREE.Vector3(0, -1, -20)); // Stronger upward and forward momentum
-                    console.log("Starting jump after reset! Position:", physicBody.position, "Velocity:", physicBody.velocity);
-
-                    // Force the body to be active and ensure it's not sleeping
-                    physicBody.wakeUp();
-                    physicBody.sleepSpeedLimit = 0.1; // Lower sleep threshold
-                    physicBody.sleepTimeLimit = 0.1; // Lower sleep time threshold
-                }
-            }, 1000);
+            scheduleJump(1);
 
             console.log('Person state reset, jump scheduled in 1 second');
         }
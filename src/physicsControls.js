@@ -1,11 +1,36 @@
 import * as dat from "dat.gui";
 import { PHYSICS_CONSTANTS, ParachuteState } from "./parachutePhysics.js";
+import { getCanopyOptions } from "./canopyCatalog.js";
+import { getMalfunctionOptions } from "./malfunctions.js";
+import { getAADModeOptions } from "./aad.js";
+import { getBodyPositionOptions } from "./bodyPositions.js";
+import { AltimeterAlert } from "./altimeter.js";
+import { LandingOutcome, LANDING_OUTCOME_NAMES, getJumperProfileOptions } from "./landingAssessment.js";
+import { IntegratorType, INTEGRATOR_NAMES } from "./integrators.js";
+import { MIN_TIME_SCALE, MAX_TIME_SCALE } from "./simulationClock.js";
+import { DEFAULT_DISPERSION_CONFIG, runDispersionAsync } from "./dispersion.js";
+import { getTurbulenceIntensityOptions } from "./turbulence.js";
+import { getThermalPresetOptions } from "./thermals.js";
+import { WINDS_ALOFT_LEVELS, DEFAULT_BOUNDARY_LAYER, createWindProfile, getBoundaryLayerOptions } from "./windProfile.js";
+import { FLOW_REGIME_NAMES, STANDARD_SEA_LEVEL_PRESSURE, StandardAtmosphere, SoundingAtmosphere, parseSounding } from "./atmosphere.js";
+
+// Exit altitudes for the High-Altitude Jump folder (m)
+const EXIT_ALTITUDE_PRESETS = {
+    'Platform (455 m)': 455,
+    'Skydive (4000 m)': 4000,
+    'HALO (10000 m)': 10000,
+    'Stratospheric (39000 m)': 39000
+};
 
 export class PhysicsControls {
-    constructor(parachutePhysics, world, windVisualization = null) {
+    constructor(parachutePhysics, world, windVisualization = null, landingHeatmap = null, altimeterDisplay = null, landingMonitor = null, thermalVisualization = null) {
         this.parachutePhysics = parachutePhysics;
         this.world = world;
         this.windVisualization = windVisualization;
+        this.landingHeatmap = landingHeatmap;
+        this.altimeterDisplay = altimeterDisplay;
+        this.landingMonitor = landingMonitor;
+        this.thermalVisualization = thermalVisualization;
         this.gui = new dat.GUI();
 
         // Position the GUI on the left side of the screen
@@ -21,8 +46,61 @@ export class PhysicsControls {
         // Physics simulation controls
         const physicsFolder = this.gui.addFolder('Physics Simulation');
 
+        // Fixed timestep settings
+        const simulationParams = {
+            physicsHz: this.world.getFixedRate(),
+            maxSubSteps: this.world.maxSubSteps,
+            integrator: this.world.integrator
+        };
+
+        physicsFolder.add(simulationParams, 'physicsHz', 30, 480, 10).name('Physics Rate (Hz)').onChange((value) => {
+            this.world.setFixedRate(value);
+        });
+
+        physicsFolder.add(simulationParams, 'maxSubSteps', 1, 32, 1).name('Max Substeps').onChange((value) => {
+            this.world.maxSubSteps = value;
+        });
+
+        // Integrator choice (press R to replay the same jump with another integrator)
+        const integratorOptions = {};
+        Object.values(IntegratorType).forEach(type => {
+            integratorOptions[INTEGRATOR_NAMES[type]] = type;
+        });
+
+        physicsFolder.add(simulationParams, 'integrator', integratorOptions).name('Integrator').onChange((value) => {
+            this.world.setIntegrator(value);
+        });
+
         physicsFolder.open();
 
+        // Simulation clock controls (keyboard: T pause, Y step, -/= speed, 0 real time)
+        const clockFolder = this.gui.addFolder('Simulation Clock');
+        const clock = this.world.clock;
+
+        const clockControls = {
+            paused: clock.paused,
+            timeScale: clock.timeScale,
+            time: clock.now().toFixed(2) + ' s',
+            stepFrame: () => clock.requestStep(),
+            realTime: () => clock.setTimeScale(1)
+        };
+
+        clockFolder.add(clockControls, 'paused').name('Paused').listen().onChange((value) => {
+            if (value) {
+                clock.pause();
+            } else {
+                clock.resume();
+            }
+        });
+        clockFolder.add(clockControls, 'timeScale', MIN_TIME_SCALE, MAX_TIME_SCALE, 0.1).name('Speed (×)').listen().onChange((value) => {
+            clock.setTimeScale(value);
+        });
+        clockFolder.add(clockControls, 'stepFrame').name('Step Frame');
+        clockFolder.add(clockControls, 'realTime').name('Real Time (1×)');
+        clockFolder.add(clockControls, 'time').name('Sim Time').listen();
+
+        clockFolder.open();
+
         // Environmental controls
         const environmentFolder = this.gui.addFolder('Environment');
 
@@ -35,46 +113,61 @@ export class PhysicsControls {
         // Add wind controls that update automatically
         environmentFolder.add(windControls, 'windStrength', 0, 20, 0.5)
             .name('Wind Strength (m/s)')
+            .listen()
             .onChange((value) => {
                 this.parachutePhysics.setWind(
                     value,
                     windControls.windDirection * (Math.PI / 180)
                 );
-                if (this.windVisualization) {
-                    this.windVisualization.setWind(
-                        value,
-                        windControls.windDirection * (Math.PI / 180)
-                    );
-                }
+                this.syncWindsAloftTable();
             });
             
         // Wind Direction controls
         environmentFolder.add(windControls, 'windDirection', 0, 360, 1)
             .name('Wind Direction (°)')
+            .listen()
             .onChange((value) => {
                 this.parachutePhysics.setWind(
                     windControls.windStrength,
                     value * (Math.PI / 180)
                 );
-                if (this.windVisualization) {
-                    this.windVisualization.setWind(
-                        windControls.windStrength,
-                        value * (Math.PI / 180)
-                    );
-                }
+                this.syncWindsAloftTable();
             });
 
+        // Dryden gusts on top of the wind (seeded, so a flight can be repeated)
+        const turbulenceParams = {
+            intensity: this.parachutePhysics.windField.turbulence.intensity.id,
+            seed: this.parachutePhysics.windField.turbulence.random.seed
+        };
+        environmentFolder.add(turbulenceParams, 'intensity', getTurbulenceIntensityOptions()).name('Turbulence').onChange((value) => {
+            this.parachutePhysics.setTurbulence(value, turbulenceParams.seed);
+        });
+        environmentFolder.add(turbulenceParams, 'seed', 1, 99999, 1).name('Turbulence Seed').onChange((value) => {
+            this.parachutePhysics.setTurbulence(turbulenceParams.intensity, value);
+        });
+
+        // Non-standard day (ISA±ΔT, QNH, humidity) or an imported sounding
+        this.setupAtmosphereControls(environmentFolder);
+
         // Temperature and pressure display
         const envDisplay = {
             temperature: this.parachutePhysics.temperature.toFixed(1) + '°C',
-            pressure: (this.parachutePhysics.pressure / 1000).toFixed(1) + ' kPa',
+            pressure: (this.parachutePhysics.pressure / 1000).toFixed(2) + ' kPa',
             airDensity: this.parachutePhysics.airDensity.toFixed(3) + ' kg/m³',
+            densityAltitude: this.parachutePhysics.getDensityAltitude().toFixed(0) + ' m',
+            humidity: (this.parachutePhysics.relativeHumidity * 100).toFixed(0) + '%',
+            speedOfSound: this.parachutePhysics.speedOfSound.toFixed(1) + ' m/s',
+            layer: this.parachutePhysics.atmosphereLayer,
             altitude: this.parachutePhysics.altitude.toFixed(1) + ' m'
         };
 
         environmentFolder.add(envDisplay, 'temperature').name('Temperature').listen();
         environmentFolder.add(envDisplay, 'pressure').name('Pressure').listen();
         environmentFolder.add(envDisplay, 'airDensity').name('Air Density').listen();
+        environmentFolder.add(envDisplay, 'densityAltitude').name('Density Altitude').listen();
+        environmentFolder.add(envDisplay, 'humidity').name('Humidity').listen();
+        environmentFolder.add(envDisplay, 'speedOfSound').name('Speed of Sound').listen();
+        environmentFolder.add(envDisplay, 'layer').name('Atmosphere Layer').listen();
         environmentFolder.add(envDisplay, 'altitude').name('Altitude').listen();
 
 
@@ -92,13 +185,23 @@ export class PhysicsControls {
         // Parachute parameters
         const parachuteFolder = this.gui.addFolder('Parachute');
 
+        const polar = this.parachutePhysics.getGlidePolar();
         const parachuteParams = {
             mass: this.parachutePhysics.mass,
-            parachuteArea: this.parachutePhysics.parachuteArea || PHYSICS_CONSTANTS.PARACHUTE_AREA_ROUND,
+            canopy: this.parachutePhysics.canopy.id,
+            parachuteArea: this.parachutePhysics.parachuteArea || this.parachutePhysics.canopy.area,
             dragCoeffVertical: this.parachutePhysics.dragCoeffVertical,
-            dragCoeffHorizontal: this.parachutePhysics.dragCoeffHorizontal
+            dragCoeffHorizontal: this.parachutePhysics.dragCoeffHorizontal,
+            trimSpeed: polar.trimSpeed,
+            glideRatio: polar.glideRatio
         };
 
+        // Canopy from the catalog (applies to the next deployment)
+        parachuteFolder.add(parachuteParams, 'canopy', getCanopyOptions()).name('Canopy').onChange((value) => {
+            this.parachutePhysics.setCanopy(value);
+            this.refreshCanopyParams();
+        });
+
         parachuteFolder.add(parachuteParams, 'mass', 50, 120, 1).name('Mass (kg)').onChange((value) => {
             this.parachutePhysics.mass = value;
             
@@ -108,16 +211,26 @@ export class PhysicsControls {
             }
         });
 
-        parachuteFolder.add(parachuteParams, 'parachuteArea', 20, 100, 1).name('Parachute Area (m²)').onChange((value) => {
-            this.parachutePhysics.parachuteArea = value;
+        // Before deployment these edit the selected canopy, afterwards the open canopy
+        parachuteFolder.add(parachuteParams, 'parachuteArea', 0.5, 100, 0.5).name('Parachute Area (m²)').onChange((value) => {
+            this.setCanopyParam('area', 'parachuteArea', value);
+        });
+
+        parachuteFolder.add(parachuteParams, 'dragCoeffVertical', 0.1, 3.0, 0.01).name('Vertical Drag Coeff').onChange((value) => {
+            this.setCanopyParam('dragCoeffVertical', 'dragCoeffVertical', value);
+        });
+
+        parachuteFolder.add(parachuteParams, 'dragCoeffHorizontal', 0.1, 3.0, 0.01).name('Horizontal Drag Coeff').onChange((value) => {
+            this.setCanopyParam('dragCoeffHorizontal', 'dragCoeffHorizontal', value);
         });
 
-        parachuteFolder.add(parachuteParams, 'dragCoeffVertical', 0.5, 3.0, 0.05).name('Vertical Drag Coeff').onChange((value) => {
-            this.parachutePhysics.dragCoeffVertical = value;
+        // Ram-air glide polar
+        parachuteFolder.add(parachuteParams, 'trimSpeed', 5, 20, 0.5).name('Trim Speed (m/s)').onChange((value) => {
+            this.parachutePhysics.setGlidePolar(value, parachuteParams.glideRatio);
         });
 
-        parachuteFolder.add(parachuteParams, 'dragCoeffHorizontal', 0.5, 3.0, 0.05).name('Horizontal Drag Coeff').onChange((value) => {
-            this.parachutePhysics.dragCoeffHorizontal = value;
+        parachuteFolder.add(parachuteParams, 'glideRatio', 1, 5, 0.1).name('Glide Ratio').onChange((value) => {
+            this.parachutePhysics.setGlidePolar(parachuteParams.trimSpeed, value);
         });
 
         parachuteFolder.open();
@@ -129,24 +242,39 @@ export class PhysicsControls {
             state: this.parachutePhysics.state,
             altitude: this.parachutePhysics.altitude.toFixed(1) + ' m',
             velocity: '0.0 m/s',
+            mach: 'M 0.00',
             velocityRatio: '0.0%',
             airDensityEffect: 'Standard',
-            acceleration: '0.0 m/s²'
+            acceleration: '0.0 m/s²',
+            lineTension: '0 N',
+            bodyPosition: this.parachutePhysics.bodyPosition.id,
+            steering: '-',
+            openingShock: '-'
         };
 
         displayFolder.add(physicsDisplay, 'state').name('State').listen();
         displayFolder.add(physicsDisplay, 'altitude').name('Altitude').listen();
         displayFolder.add(physicsDisplay, 'velocity').name('Velocity').listen();
+        displayFolder.add(physicsDisplay, 'mach').name('Mach').listen();
         displayFolder.add(physicsDisplay, 'airDensityEffect').name('Air Density Effect').listen();
         displayFolder.add(physicsDisplay, 'acceleration').name('Acceleration').listen();
+        displayFolder.add(physicsDisplay, 'lineTension').name('Line Tension').listen();
+        displayFolder.add(physicsDisplay, 'bodyPosition', getBodyPositionOptions()).name('Body Position (1-4)').listen().onChange((value) => {
+            this.parachutePhysics.setBodyPosition(value);
+        });
+        displayFolder.add(physicsDisplay, 'steering').name('Steering (J/L/I/K/H)').listen();
+        displayFolder.add(physicsDisplay, 'openingShock').name('Opening Shock').listen();
 
         displayFolder.open();
 
         // Store references for updates
+        this.simulationParams = simulationParams;
+        this.clockControls = clockControls;
         this.windControls = windControls;
         this.envDisplay = envDisplay;
         this.physicsDisplay = physicsDisplay;
         this.parachuteParams = parachuteParams;
+        this.parachuteFolder = parachuteFolder;
         this.deployStatus = deployStatus;
 
         // Add altitude-based terminal velocity analysis
@@ -155,12 +283,15 @@ export class PhysicsControls {
         const altitudeAnalysis = {
             showAnalysis: () => {
                 const analysis = this.parachutePhysics.getAltitudeTerminalVelocityAnalysis();
-                console.log('=== Altitude-Based Terminal Velocity Analysis ===');
+                console.log(`=== Altitude-Based Terminal Velocity Analysis (freefall: ${this.parachutePhysics.bodyPosition.name}) ===`);
                 analysis.forEach(data => {
-                    console.log(`Altitude ${data.altitude}m: ` +
+                    console.log(`Altitude ${data.altitude}m (${data.layer}): ` +
                         `T=${data.temperature.toFixed(1)}°C, ` +
-                        `ρ=${data.airDensity.toFixed(3)}kg/m³, ` +
-                        `Freefall: ${data.freefallTerminal.toFixed(1)}m/s, ` +
+                        `P=${(data.pressure / 1000).toFixed(2)}kPa, ` +
+                        `ρ=${data.airDensity.toPrecision(3)}kg/m³, ` +
+                        `a=${data.speedOfSound.toFixed(1)}m/s, ` +
+                        `Freefall: ${data.freefallTerminal.toFixed(1)}m/s (M ${data.freefallMach.toFixed(2)}), ` +
+                        `Drogue: ${data.drogueTerminal.toFixed(1)}m/s, ` +
                         `Parachute: ${data.parachuteTerminal.toFixed(1)}m/s`);
                 });
                 console.log('=== Analysis Complete ===');
@@ -184,6 +315,31 @@ export class PhysicsControls {
         altitudeAnalysisFolder.add(altitudeAnalysis, 'showPrediction').name('Show Terminal Velocity Prediction');
         altitudeAnalysisFolder.open();
 
+        // Wind by height: surface wind, 3k-12k ft levels and the boundary layer
+        this.setupWindsAloftFolder();
+
+        // Thermal updrafts and sink zones (sunlit field vs. tree line)
+        this.setupThermalsFolder();
+
+        // Exit altitude up to a stratospheric balloon jump
+        this.setupHighAltitudeFolder();
+
+        // Malfunction injection, cutaway and reserve
+        this.setupEmergencyFolder();
+
+        // Alert altitudes, audible warnings and auto-deploy
+        if (this.altimeterDisplay) {
+            this.setupAltimeterFolder();
+        }
+
+        // Jumper profile and landing outcome thresholds
+        if (this.landingMonitor) {
+            this.setupLandingFolder();
+        }
+
+        // Monte Carlo landing dispersion (headless jumps, drawn as a heat map on the grass)
+        this.setupDispersionFolder();
+
         // Phase 2 Testing Tools (Commented out for production)
         // const phase2TestFolder = this.gui.addFolder('🧪 Phase 2 Testing');
         // 
@@ -201,6 +357,437 @@ export class PhysicsControls {
         // phase2TestFolder.open();
     }
 
+    setupAtmosphereControls(environmentFolder) {
+        const atmosphereParams = {
+            temperatureOffset: 0,                               // K
+            seaLevelPressure: STANDARD_SEA_LEVEL_PRESSURE / 100, // hPa
+            relativeHumidity: 0,                                // %
+            importSounding: () => this.importSounding(),
+            model: this.parachutePhysics.atmosphere.name
+        };
+
+        const applyStandardDay = () => this.setAtmosphere(new StandardAtmosphere({
+            temperatureOffset: atmosphereParams.temperatureOffset,
+            seaLevelPressure: atmosphereParams.seaLevelPressure * 100,
+            relativeHumidity: atmosphereParams.relativeHumidity / 100
+        }));
+
+        environmentFolder.add(atmosphereParams, 'temperatureOffset', -40, 40, 1).name('ISA ΔT (°C)').onFinishChange(applyStandardDay);
+        environmentFolder.add(atmosphereParams, 'seaLevelPressure', 950, 1060, 1).name('Sea-Level Pressure (hPa)').onFinishChange(applyStandardDay);
+        environmentFolder.add(atmosphereParams, 'relativeHumidity', 0, 100, 1).name('Humidity (%)').onFinishChange(applyStandardDay);
+        environmentFolder.add(atmosphereParams, 'importSounding').name('Import Sounding (CSV/JSON)');
+        environmentFolder.add(atmosphereParams, 'model').name('Atmosphere').listen();
+
+        this.atmosphereParams = atmosphereParams;
+    }
+
+    setAtmosphere(atmosphere) {
+        if (this.parachutePhysics.setAtmosphere(atmosphere)) {
+            this.atmosphereParams.model = atmosphere.name;
+        }
+    }
+
+    // Load a temperature / pressure sounding (see parseSounding) from a local file
+    importSounding() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.csv,.txt,.json';
+        input.onchange = async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                const rows = parseSounding(await file.text());
+                this.setAtmosphere(new SoundingAtmosphere(rows, file.name));
+            } catch (error) {
+                console.error('Sounding import failed:', error);
+            }
+        };
+        input.click();
+    }
+
+    setupWindsAloftFolder() {
+        const windsAloftFolder = this.gui.addFolder('Winds Aloft');
+
+        const windsAloftParams = {
+            boundaryLayer: DEFAULT_BOUNDARY_LAYER.type,
+            boundaryLayerHeight: DEFAULT_BOUNDARY_LAYER.height,
+            roughness: DEFAULT_BOUNDARY_LAYER.roughness,
+            currentWind: '-'
+        };
+
+        // One row per level, directions in degrees like the Environment wind
+        this.windsAloftTable = [{ label: 'Surface', altitude: 0 }, ...WINDS_ALOFT_LEVELS].map(level => ({
+            ...level,
+            strength: this.parachutePhysics.windStrength,
+            direction: this.parachutePhysics.windDirection * (180 / Math.PI)
+        }));
+        this.windsAloftParams = windsAloftParams;
+
+        const applyProfile = () => this.applyWindsAloft();
+        this.windsAloftTable.forEach(row => {
+            windsAloftFolder.add(row, 'strength', 0, 30, 0.5).name(`${row.label} (m/s)`).listen().onFinishChange(applyProfile);
+            windsAloftFolder.add(row, 'direction', 0, 360, 1).name(`${row.label} Dir (°)`).listen().onFinishChange(applyProfile);
+        });
+        windsAloftFolder.add(windsAloftParams, 'boundaryLayer', getBoundaryLayerOptions()).name('Boundary Layer').onChange(applyProfile);
+        windsAloftFolder.add(windsAloftParams, 'boundaryLayerHeight', 50, 1000, 10).name('Boundary Layer Top (m)').onFinishChange(applyProfile);
+        windsAloftFolder.add(windsAloftParams, 'roughness', 0.001, 1, 0.001).name('Roughness z₀ (m)').onFinishChange(applyProfile);
+        windsAloftFolder.add(windsAloftParams, 'currentWind').name('Wind at Jumper').listen();
+    }
+
+    // Wind profile from the winds-aloft table
+    applyWindsAloft() {
+        const [surface, ...levels] = this.windsAloftTable;
+        const params = this.windsAloftParams;
+        this.parachutePhysics.setWindProfile(createWindProfile({
+            surface,
+            levels,
+            boundaryLayer: params.boundaryLayer,
+            boundaryLayerHeight: params.boundaryLayerHeight,
+            roughness: params.roughness
+        }));
+
+        // The Environment sliders show the surface wind
+        this.windControls.windStrength = surface.strength;
+        this.windControls.windDirection = surface.direction;
+    }
+
+    // Every row takes the uniform wind set in the Environment folder
+    syncWindsAloftTable() {
+        if (!this.windsAloftTable) return;
+        this.windsAloftTable.forEach(row => {
+            row.strength = this.windControls.windStrength;
+            row.direction = this.windControls.windDirection;
+        });
+    }
+
+    setupThermalsFolder() {
+        const thermalsFolder = this.gui.addFolder('Thermals');
+        const physics = this.parachutePhysics;
+
+        const thermalsParams = {
+            preset: 'none',
+            showColumns: true,
+            airMass: '0.0 m/s',
+            // New zones start under the jumper
+            addThermal: () => this.addThermalZone({ strength: 2, radius: 80, height: 1200 }),
+            addSink: () => this.addThermalZone({ strength: -1.5, radius: 120, height: 600 }),
+            clear: () => {
+                physics.setThermals([]);
+                this.refreshThermalZones();
+            }
+        };
+
+        thermalsFolder.add(thermalsParams, 'preset', getThermalPresetOptions()).name('Preset').onChange((value) => {
+            physics.setThermals(value);
+            this.refreshThermalZones();
+        });
+        thermalsFolder.add(thermalsParams, 'showColumns').name('Show Columns').onChange((value) => {
+            if (this.thermalVisualization) this.thermalVisualization.setVisible(value);
+        });
+        thermalsFolder.add(thermalsParams, 'addThermal').name('Add Thermal Here');
+        thermalsFolder.add(thermalsParams, 'addSink').name('Add Sink Here');
+        thermalsFolder.add(thermalsParams, 'clear').name('Clear All');
+        thermalsFolder.add(thermalsParams, 'airMass').name('Air Mass ↕ at Jumper').listen();
+
+        this.thermalsFolder = thermalsFolder;
+        this.thermalsParams = thermalsParams;
+        this.thermalZoneFolders = [];
+        this.refreshThermalZones();
+    }
+
+    addThermalZone(spec) {
+        const position = this.parachutePhysics.position;
+        this.parachutePhysics.windField.thermals.addZone({ ...spec, x: Math.round(position.x), z: Math.round(position.z) });
+        this.refreshThermalZones();
+    }
+
+    // One subfolder per zone (position, radius, strength, height), rebuilt when the list changes
+    refreshThermalZones() {
+        const physics = this.parachutePhysics;
+        this.thermalZoneFolders.forEach(folder => this.thermalsFolder.removeFolder(folder));
+        this.thermalZoneFolders = [];
+
+        const redraw = () => {
+            physics.windField.invalidate();
+            if (this.thermalVisualization) this.thermalVisualization.rebuild();
+        };
+
+        physics.windField.thermals.zones.forEach((zone, index) => {
+            const folder = this.thermalsFolder.addFolder(`${zone.isSink() ? 'Sink' : 'Thermal'} ${index + 1}`);
+            const actions = {
+                remove: () => {
+                    physics.windField.thermals.removeZone(zone);
+                    this.refreshThermalZones();
+                }
+            };
+
+            folder.add(zone, 'x', -600, 600, 5).name('X (m)').onChange(redraw);
+            folder.add(zone, 'z', -600, 600, 5).name('Z (m)').onChange(redraw);
+            folder.add(zone, 'radius', 10, 500, 5).name('Radius (m)').onChange(redraw);
+            folder.add(zone, 'strength', -5, 5, 0.1).name('Strength (m/s)').onChange(redraw);
+            folder.add(zone, 'height', 50, 4000, 10).name('Height (m)').onChange(redraw);
+            folder.add(actions, 'remove').name('Remove');
+            this.thermalZoneFolders.push(folder);
+        });
+
+        redraw();
+    }
+
+    setupHighAltitudeFolder() {
+        const highAltitudeFolder = this.gui.addFolder('High-Altitude Jump');
+
+        const highAltitudeParams = {
+            preset: EXIT_ALTITUDE_PRESETS['Platform (455 m)'],
+            exitAltitude: EXIT_ALTITUDE_PRESETS['Platform (455 m)']
+        };
+
+        highAltitudeFolder.add(highAltitudeParams, 'preset', EXIT_ALTITUDE_PRESETS).name('Exit').onChange((value) => {
+            highAltitudeParams.exitAltitude = Number(value);
+            this.setExitAltitude(highAltitudeParams.exitAltitude);
+        });
+        highAltitudeFolder.add(highAltitudeParams, 'exitAltitude', 100, 40000, 1).name('Exit Altitude (m, R)').listen().onChange((value) => {
+            this.setExitAltitude(value);
+        });
+
+        this.highAltitudeParams = highAltitudeParams;
+    }
+
+    // Exit altitude of the jumper for the next reset (R)
+    setExitAltitude(altitude) {
+        this.world.bodies.forEach(body => {
+            if (body.userData && body.userData.initialPosition) {
+                body.userData.initialPosition.y = altitude;
+                body.initialPosition.y = altitude;
+            }
+        });
+        console.log(`🎈 Exit altitude set to ${altitude.toFixed(0)} m - press R to jump`);
+    }
+
+    setupEmergencyFolder() {
+        const emergencyFolder = this.gui.addFolder('Emergency Procedures');
+        const physics = this.parachutePhysics;
+
+        const emergencyParams = {
+            malfunction: physics.malfunctionSetting,
+            probability: physics.malfunctionProbability,
+            seed: physics.malfunctionRandom.seed,
+            status: 'No malfunction',
+            cutaway: () => physics.cutaway(),
+            deployReserve: () => physics.deployReserve(),
+            aadMode: physics.aad.mode,
+            aadArmed: physics.aad.isArmed(),
+            aadStatus: physics.aad.getStatusText()
+        };
+
+        // Applies to the next main deployment
+        emergencyFolder.add(emergencyParams, 'malfunction', getMalfunctionOptions()).name('Malfunction').onChange((value) => {
+            physics.setMalfunction(value);
+        });
+        emergencyFolder.add(emergencyParams, 'probability', 0, 1, 0.05).name('Random Chance').onChange((value) => {
+            physics.setMalfunctionProbability(value, emergencyParams.seed);
+        });
+        emergencyFolder.add(emergencyParams, 'seed', 1, 99999, 1).name('Seed').onChange((value) => {
+            physics.setMalfunctionProbability(emergencyParams.probability, value);
+        });
+        emergencyFolder.add(emergencyParams, 'status').name('Status').listen();
+        emergencyFolder.add(emergencyParams, 'cutaway').name('Cut Away (C)');
+        emergencyFolder.add(emergencyParams, 'deployReserve').name('Deploy Reserve (V)');
+
+        // Automatic activation device
+        emergencyFolder.add(emergencyParams, 'aadMode', getAADModeOptions()).name('AAD Mode').onChange((value) => {
+            physics.aad.setMode(value);
+        });
+        emergencyFolder.add(emergencyParams, 'aadArmed').name('AAD Armed').listen().onChange((value) => {
+            if (value) {
+                physics.aad.arm();
+            } else {
+                physics.aad.disarm();
+            }
+        });
+        emergencyFolder.add(emergencyParams, 'aadStatus').name('AAD Status').listen();
+
+        this.emergencyParams = emergencyParams;
+    }
+
+    // Active control inputs and turn rate, '-' when the canopy cannot be steered
+    getSteeringStatus() {
+        const physics = this.parachutePhysics;
+        if (!physics.isSteerable()) return '-';
+
+        const inputs = physics.controlInputs;
+        const active = [
+            inputs.flare > 0 && 'Flare',
+            inputs.leftToggle > 0 && 'Left',
+            inputs.rightToggle > 0 && 'Right',
+            inputs.frontRisers > 0 && 'Front risers',
+            inputs.rearRisers > 0 && 'Rear risers'
+        ].filter(Boolean);
+
+        const turnRate = (physics.yawRate * 180 / Math.PI).toFixed(0);
+        return active.length > 0 ? `${active.join(' + ')} (${turnRate}°/s)` : 'Hands up';
+    }
+
+    // Emergency status line: malfunction, cutaway or reserve
+    getEmergencyStatus() {
+        const physics = this.parachutePhysics;
+
+        if (physics.state === ParachuteState.MALFUNCTION) {
+            return `⚠️ ${physics.malfunction.name} - cut away!`;
+        }
+        if (physics.state === ParachuteState.CUTAWAY) {
+            return '✂️ Main released - deploy reserve!';
+        }
+        if (physics.reserveDeployed) {
+            return physics.state === ParachuteState.DEPLOYED ? '✅ Reserve open' : 'Reserve opening';
+        }
+        return 'No malfunction';
+    }
+
+    setupAltimeterFolder() {
+        const altimeterFolder = this.gui.addFolder('Altimeter');
+        const display = this.altimeterDisplay;
+        const altimeter = display.altimeter;
+
+        const altimeterParams = {
+            breakOff: altimeter.getAlert(AltimeterAlert.BREAK_OFF).altitude,
+            deploy: altimeter.getAlert(AltimeterAlert.DEPLOY).altitude,
+            hardDeck: altimeter.getAlert(AltimeterAlert.HARD_DECK).altitude,
+            sound: display.soundEnabled,
+            autoDeploy: altimeter.autoDeployEnabled,
+            autoDeployAltitude: altimeter.autoDeployAltitude,
+            testBeep: () => display.showAlert(altimeter.getAlert(AltimeterAlert.DEPLOY))
+        };
+
+        altimeterFolder.add(altimeterParams, 'breakOff', 0, 4000, 10).name('Break-off (m)').onChange((value) => {
+            altimeter.setAlertAltitude(AltimeterAlert.BREAK_OFF, value);
+        });
+        altimeterFolder.add(altimeterParams, 'deploy', 0, 4000, 10).name('Deploy (m)').onChange((value) => {
+            altimeter.setAlertAltitude(AltimeterAlert.DEPLOY, value);
+        });
+        altimeterFolder.add(altimeterParams, 'hardDeck', 0, 4000, 10).name('Hard Deck (m)').onChange((value) => {
+            altimeter.setAlertAltitude(AltimeterAlert.HARD_DECK, value);
+        });
+        altimeterFolder.add(altimeterParams, 'sound').name('Audible Alerts').onChange((value) => {
+            display.soundEnabled = value;
+        });
+
+        // Auto-deploy uses the same path as the P key (for unattended demo runs)
+        altimeterFolder.add(altimeterParams, 'autoDeploy').name('Auto-deploy').onChange((value) => {
+            altimeter.setAutoDeploy(value ? altimeterParams.autoDeployAltitude : null);
+        });
+        altimeterFolder.add(altimeterParams, 'autoDeployAltitude', 10, 4000, 10).name('Auto-deploy (m)').onChange((value) => {
+            altimeter.autoDeployAltitude = value;
+        });
+        altimeterFolder.add(altimeterParams, 'testBeep').name('Test Alert');
+    }
+
+    setupLandingFolder() {
+        const landingFolder = this.gui.addFolder('Landing Assessment');
+        const monitor = this.landingMonitor;
+
+        const landingParams = {
+            profile: monitor.profile.id,
+            lastLanding: 'No landing yet'
+        };
+
+        const thresholdControllers = [];
+        landingFolder.add(landingParams, 'profile', getJumperProfileOptions()).name('Jumper Profile').onChange((value) => {
+            monitor.setProfile(value);
+            // Sliders edit the limits of the selected profile
+            thresholdControllers.forEach(controller => {
+                controller.object = monitor.profile.limits[controller.outcome];
+                controller.updateDisplay();
+            });
+        });
+
+        // Vertical / horizontal speed limit of each outcome (above the hard limits: injury risk)
+        [LandingOutcome.STAND_UP, LandingOutcome.PLF, LandingOutcome.HARD].forEach(outcome => {
+            const limits = monitor.profile.limits[outcome];
+            const name = LANDING_OUTCOME_NAMES[outcome];
+            ['vertical', 'horizontal'].forEach(axis => {
+                const controller = landingFolder.add(limits, axis, 0, 20, 0.1)
+                    .name(`${name} ${axis === 'vertical' ? 'V' : 'H'} (m/s)`);
+                controller.outcome = outcome;
+                thresholdControllers.push(controller);
+            });
+        });
+
+        landingFolder.add(landingParams, 'lastLanding').name('Last Landing').listen();
+
+        this.landingParams = landingParams;
+    }
+
+    setupDispersionFolder() {
+        const dispersionFolder = this.gui.addFolder('Landing Dispersion');
+        const defaults = DEFAULT_DISPERSION_CONFIG.distributions;
+
+        const dispersionParams = {
+            runs: 100,
+            seed: DEFAULT_DISPERSION_CONFIG.seed,
+            windSpread: defaults.windStrength.stdDev,           // m/s
+            directionSpread: defaults.windDirection.stdDev,     // degrees
+            status: 'Not run',
+            run: () => this.runDispersionAnalysis(),
+            clear: () => {
+                if (this.landingHeatmap) this.landingHeatmap.clear();
+                dispersionParams.status = 'Not run';
+            }
+        };
+
+        dispersionFolder.add(dispersionParams, 'runs', 10, 500, 10).name('Runs');
+        dispersionFolder.add(dispersionParams, 'seed', 1, 99999, 1).name('Seed');
+        dispersionFolder.add(dispersionParams, 'windSpread', 0, 5, 0.1).name('Wind σ (m/s)');
+        dispersionFolder.add(dispersionParams, 'directionSpread', 0, 90, 1).name('Direction σ (°)');
+        dispersionFolder.add(dispersionParams, 'run').name('Run Dispersion');
+        dispersionFolder.add(dispersionParams, 'clear').name('Clear Heat Map');
+        dispersionFolder.add(dispersionParams, 'status').name('Status').listen();
+
+        this.dispersionParams = dispersionParams;
+    }
+
+    // Sample around the current GUI settings and draw the landing scatter
+    async runDispersionAnalysis() {
+        const params = this.dispersionParams;
+        if (this.dispersionRunning) return;
+        this.dispersionRunning = true;
+
+        const defaults = DEFAULT_DISPERSION_CONFIG.distributions;
+        const config = {
+            runs: params.runs,
+            seed: params.seed,
+            scenario: { ...DEFAULT_DISPERSION_CONFIG.scenario, atmosphere: this.parachutePhysics.atmosphere },
+            distributions: {
+                windStrength: { ...defaults.windStrength, mean: this.windControls.windStrength, stdDev: params.windSpread },
+                windDirection: { ...defaults.windDirection, mean: this.windControls.windDirection, stdDev: params.directionSpread },
+                mass: { ...defaults.mass, mean: this.parachutePhysics.mass }
+            }
+        };
+
+        let result;
+        try {
+            result = await runDispersionAsync(config, (completed, total) => {
+                params.status = `Running ${completed}/${total}`;
+            });
+        } catch (error) {
+            console.error('Dispersion analysis failed:', error);
+            params.status = 'Failed';
+            return;
+        } finally {
+            this.dispersionRunning = false;
+        }
+        const stats = result.statistics;
+
+        params.status = `CEP ${stats.cep.toFixed(0)} m, 95% ${stats.ellipse95.semiMajor.toFixed(0)}×${stats.ellipse95.semiMinor.toFixed(0)} m`;
+        console.log('=== Landing Dispersion ===');
+        console.log(`Runs: ${stats.count}, mean landing point: (${stats.mean.x.toFixed(1)}, ${stats.mean.z.toFixed(1)})`);
+        console.log(`CEP (50%): ${stats.cep.toFixed(1)} m`);
+        console.log(`95% ellipse: ${stats.ellipse95.semiMajor.toFixed(1)} × ${stats.ellipse95.semiMinor.toFixed(1)} m at ${(stats.ellipse95.angle * 180 / Math.PI).toFixed(1)}°`);
+
+        if (this.landingHeatmap) {
+            this.landingHeatmap.setLandings(result.landings, stats);
+        }
+    }
+
     updateDisplay() {
         // Ensure GUI stays positioned on the left side
         if (this.gui && this.gui.domElement) {
@@ -210,19 +797,46 @@ export class PhysicsControls {
             this.gui.domElement.style.right = 'auto';
         }
 
+        // Update simulation clock display
+        this.clockControls.paused = this.world.clock.paused;
+        this.clockControls.timeScale = this.world.clock.timeScale;
+        this.clockControls.time = this.world.clock.now().toFixed(2) + ' s';
+
         // Update environmental display
         this.envDisplay.temperature = this.parachutePhysics.temperature.toFixed(1) + '°C';
-        this.envDisplay.pressure = (this.parachutePhysics.pressure / 1000).toFixed(1) + ' kPa';
+        this.envDisplay.pressure = (this.parachutePhysics.pressure / 1000).toFixed(2) + ' kPa';
         this.envDisplay.airDensity = this.parachutePhysics.airDensity.toFixed(3) + ' kg/m³';
+        this.envDisplay.densityAltitude = this.parachutePhysics.getDensityAltitude().toFixed(0) + ' m';
+        this.envDisplay.humidity = (this.parachutePhysics.relativeHumidity * 100).toFixed(0) + '%';
+        this.envDisplay.speedOfSound = this.parachutePhysics.speedOfSound.toFixed(1) + ' m/s';
+        this.envDisplay.layer = this.parachutePhysics.atmosphereLayer;
         this.envDisplay.altitude = this.parachutePhysics.altitude.toFixed(1) + ' m';
 
+        const airMass = this.parachutePhysics.airMassVerticalVelocity;
+        this.thermalsParams.airMass = `${airMass >= 0 ? '+' : ''}${airMass.toFixed(1)} m/s`;
+
+        const wind = this.parachutePhysics.windField.sampleSteady(this.parachutePhysics.position);
+        const windDirection = Math.atan2(wind.z, wind.x) * 180 / Math.PI;
+        this.windsAloftParams.currentWind = `${Math.hypot(wind.x, wind.z).toFixed(1)} m/s at ${((windDirection + 360) % 360).toFixed(0)}°`;
+
         // Update physics display
         this.physicsDisplay.state = this.parachutePhysics.state;
         this.physicsDisplay.altitude = this.parachutePhysics.altitude.toFixed(1) + ' m';
         this.physicsDisplay.velocity = this.parachutePhysics.velocity.length().toFixed(1) + ' m/s';
+        this.physicsDisplay.mach = `M ${this.parachutePhysics.machNumber.toFixed(2)} ${FLOW_REGIME_NAMES[this.parachutePhysics.flowRegime]}`;
         this.physicsDisplay.terminalVelocity = this.parachutePhysics.terminalVelocity.toFixed(1) + ' m/s';
         this.physicsDisplay.acceleration = this.parachutePhysics.acceleration.length().toFixed(1) + ' m/s²';
 
+        // Line tension and the peak opening shock of the last deployment
+        const tensionInfo = this.parachutePhysics.getTensionInfo();
+        this.physicsDisplay.lineTension = tensionInfo.tensionNewtons.toFixed(0) + ' N';
+        this.physicsDisplay.openingShock = tensionInfo.peakOpeningForce > 0
+            ? `${tensionInfo.peakLoadFactor.toFixed(1)} g (${(tensionInfo.peakOpeningForce / 1000).toFixed(1)} kN)`
+            : '-';
+
+        this.physicsDisplay.bodyPosition = this.parachutePhysics.bodyPosition.id;
+        this.physicsDisplay.steering = this.getSteeringStatus();
+
         // Get terminal velocity analysis
         const analysis = this.parachutePhysics.getTerminalVelocityAnalysis();
 
@@ -240,9 +854,17 @@ export class PhysicsControls {
 
         // Update parachute parameters
         this.parachuteParams.mass = this.parachutePhysics.mass;
-        this.parachuteParams.parachuteArea = this.parachutePhysics.parachuteArea || PHYSICS_CONSTANTS.PARACHUTE_AREA_ROUND;
-        this.parachuteParams.dragCoeffVertical = this.parachutePhysics.dragCoeffVertical;
-        this.parachuteParams.dragCoeffHorizontal = this.parachutePhysics.dragCoeffHorizontal;
+        this.syncCanopyParams();
+
+        // Update emergency status
+        this.emergencyParams.status = this.getEmergencyStatus();
+
+        if (this.landingParams && this.landingMonitor.report) {
+            const report = this.landingMonitor.report;
+            this.landingParams.lastLanding = `${report.outcomeName} (${report.verticalSpeed.toFixed(1)} m/s)`;
+        }
+        this.emergencyParams.aadArmed = this.parachutePhysics.aad.isArmed();
+        this.emergencyParams.aadStatus = this.parachutePhysics.aad.getStatusText();
 
         // Update deployment status
         this.deployStatus.canDeploy = this.parachutePhysics.canDeployParachute() ? '✅ Can Deploy' : '❌ Cannot Deploy';
@@ -259,19 +881,58 @@ export class PhysicsControls {
             return 'Already deployed or opening';
         }
 
-        if (this.parachutePhysics.altitude <= 5) {
+        if (this.parachutePhysics.getHeightAboveGround(this.parachutePhysics.position) <= 5) {
             return 'Too close to ground';
         }
 
         return 'Unknown reason';
     }
 
+    // Canopy slider values: the selected canopy before deployment, the open canopy afterwards
+    syncCanopyParams() {
+        const physics = this.parachutePhysics;
+        const source = physics.parachuteOpen ? physics : physics.canopy;
+
+        this.parachuteParams.canopy = physics.canopy.id;
+        this.parachuteParams.parachuteArea = physics.parachuteOpen ? physics.parachuteArea : physics.canopy.area;
+        this.parachuteParams.dragCoeffVertical = source.dragCoeffVertical;
+        this.parachuteParams.dragCoeffHorizontal = source.dragCoeffHorizontal;
+    }
+
+    // Re-read every canopy value (after selecting a different canopy)
+    refreshCanopyParams() {
+        const polar = this.parachutePhysics.getGlidePolar();
+        this.parachuteParams.trimSpeed = polar.trimSpeed;
+        this.parachuteParams.glideRatio = polar.glideRatio;
+        this.syncCanopyParams();
+
+        this.parachuteFolder.__controllers.forEach(controller => controller.updateDisplay());
+    }
+
+    // Write a canopy value to the catalog copy and, once open, to the active parachute
+    setCanopyParam(canopyKey, physicsKey, value) {
+        this.parachutePhysics.canopy[canopyKey] = value;
+        if (this.parachutePhysics.parachuteOpen) {
+            this.parachutePhysics[physicsKey] = value;
+        }
+    }
+
 
 
     resetSimulation() {
         // Reset physics
         this.parachutePhysics.reset();
 
+        if (this.landingMonitor) {
+            this.landingMonitor.reset();
+        }
+
+        // Re-arm the altimeter alerts for the next jump
+        if (this.altimeterDisplay) {
+            this.altimeterDisplay.altimeter.reset();
+            this.altimeterDisplay.reset();
+        }
+
         // Reset world gravity (in case it was modified)
         this.world.gravity.set(0, -PHYSICS_CONSTANTS.GRAVITY, 0);
 
@@ -281,9 +942,12 @@ export class PhysicsControls {
                 // Reset position
                 body.position.copy(body.userData.initialPosition);
 
-                // Reset velocity and angular velocity
+                // Reset velocity, orientation and angular velocity
                 body.velocity.set(0, 0, 0);
                 body.angularVelocity.set(0, 0, 0);
+                body.torque.set(0, 0, 0);
+                body.quaternion.copy(body.initialQuaternion);
+                body.syncInterpolation();
 
                 // Wake up the body and ensure it's active
                 body.wakeUp();
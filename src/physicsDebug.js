@@ -77,7 +77,10 @@ export class PhysicsDebugDisplay {
     updateDisplay() {
         if (!this.isVisible) return;
 
-        const currentTime = (Date.now() - this.startTime) / 1000;
+        // Simulated time from the physics clock (falls back to wall time before it exists)
+        const currentTime = window.physicsControls && window.physicsControls.world
+            ? window.physicsControls.world.time
+            : (Date.now() - this.startTime) / 1000;
 
         // Update time
         const timeElement = document.getElementById('physics-time');
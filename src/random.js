@@ -0,0 +1,82 @@
+// Seeded random numbers so stochastic runs (dispersion, malfunctions, turbulence)
+// can be reproduced exactly from their seed.
+
+// Mulberry32: small, fast 32-bit PRNG
+export class SeededRandom {
+    constructor(seed = 1) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+        this.spareNormal = null;
+    }
+
+    // Uniform in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Uniform in [min, max)
+    uniform(min = 0, max = 1) {
+        return min + (max - min) * this.next();
+    }
+
+    // Gaussian via Box-Muller
+    normal(mean = 0, stdDev = 1) {
+        if (this.spareNormal !== null) {
+            const value = this.spareNormal;
+            this.spareNormal = null;
+            return mean + stdDev * value;
+        }
+
+        let u = 0;
+        while (u === 0) u = this.next();
+        const v = this.next();
+        const radius = Math.sqrt(-2 * Math.log(u));
+        this.spareNormal = radius * Math.sin(2 * Math.PI * v);
+        return mean + stdDev * radius * Math.cos(2 * Math.PI * v);
+    }
+
+    // Random element of an array
+    choice(values) {
+        return values[Math.floor(this.next() * values.length)];
+    }
+
+    reset(seed = this.seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+        this.spareNormal = null;
+    }
+}
+
+// Draw a value from a distribution spec:
+//   5                                               constant
+//   { type: 'uniform', min, max }
+//   { type: 'normal', mean, stdDev, min?, max? }    (clamped to min/max)
+//   { type: 'choice', values: [...] }
+export function sampleDistribution(spec, random) {
+    if (typeof spec === 'number' || typeof spec === 'string') return spec;
+    if (!spec || typeof spec !== 'object') return spec;
+
+    let value;
+    switch (spec.type) {
+        case 'uniform':
+            value = random.uniform(spec.min, spec.max);
+            break;
+        case 'normal':
+            value = random.normal(spec.mean, spec.stdDev);
+            break;
+        case 'choice':
+            return random.choice(spec.values);
+        case 'constant':
+            return spec.value;
+        default:
+            throw new Error(`Unknown distribution type: ${spec.type}`);
+    }
+
+    if (spec.min !== undefined) value = Math.max(spec.min, value);
+    if (spec.max !== undefined) value = Math.min(spec.max, value);
+    return value;
+}
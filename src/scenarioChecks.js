@@ -0,0 +1,59 @@
+import { runJump } from "./simulationRunner.js";
+
+// Scenario checks
+// Pass / fail assertions a scenario lists under `checks`; sim-cli runs them after the jump and
+// exits with an error when one fails.
+
+export const ScenarioCheck = {
+    NO_CLIMB_DURING_OPENING: 'no-climb-during-opening',
+    FLARE_REDUCES_TOUCHDOWN_SPEED: 'flare-reduces-touchdown-speed'
+};
+
+export const SCENARIO_CHECKS = {
+    [ScenarioCheck.NO_CLIMB_DURING_OPENING]: {
+        id: ScenarioCheck.NO_CLIMB_DURING_OPENING,
+        name: 'No climb while a canopy opens and surges',
+        // The opening shock slows the fall but never reverses it
+        run(result) {
+            const climb = result.summary.openingClimb;
+            return { passed: climb <= 0, detail: `climbed ${climb.toFixed(2)} m` };
+        }
+    },
+    [ScenarioCheck.FLARE_REDUCES_TOUCHDOWN_SPEED]: {
+        id: ScenarioCheck.FLARE_REDUCES_TOUCHDOWN_SPEED,
+        name: 'Flare lands slower than no flare',
+        // Reruns the scenario without the flare; both touchdown speeds must be lower with it
+        run(result) {
+            const flared = result.summary.landing;
+            if (!flared || result.scenario.flareAltitude === null) {
+                return { passed: false, detail: 'needs a flareAltitude and a touchdown' };
+            }
+
+            const unflared = runJump({ ...result.scenario, flareAltitude: null }, { recordTelemetry: false }).summary.landing;
+            if (!unflared) {
+                return { passed: false, detail: 'no touchdown without the flare' };
+            }
+            return {
+                passed: flared.verticalSpeed < unflared.verticalSpeed && flared.horizontalSpeed < unflared.horizontalSpeed,
+                detail: `${flared.verticalSpeed.toFixed(1)} / ${flared.horizontalSpeed.toFixed(1)} m/s flared, ` +
+                    `${unflared.verticalSpeed.toFixed(1)} / ${unflared.horizontalSpeed.toFixed(1)} m/s without`
+            };
+        }
+    }
+};
+
+// Check entry by id, null if unknown
+export function getScenarioCheck(id) {
+    return SCENARIO_CHECKS[id] || null;
+}
+
+// Run the checks listed in the result's scenario -> [{ id, name, passed, detail }]
+export function runScenarioChecks(result) {
+    return result.scenario.checks.map(id => {
+        const check = getScenarioCheck(id);
+        if (!check) {
+            throw new Error(`Unknown scenario check: ${JSON.stringify(id)}`);
+        }
+        return { id, name: check.name, ...check.run(result) };
+    });
+}
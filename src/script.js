@@ -14,11 +14,18 @@ import { addPlatform } from './platform.js';
 import { setupFlyCamera } from './flyCamera.js';
 import { setupCustomCamera } from './customCamera.js';
 import { addPerson } from "./person.js";
-import { createParachutePhysics } from "./parachutePhysics.js";
+import { createParachutePhysics, ParachuteState, ControlInput } from "./parachutePhysics.js";
 import { PhysicsControls } from "./physicsControls.js";
 import { WindVisualization } from "./windVisualization.js";
+import { ThermalVisualization } from "./thermalVisualization.js";
 import { createSkybox } from "./skybox.js";
 import { physicsDebug } from "./physicsDebug.js";
+import { LandingHeatmap } from "./landingHeatmap.js";
+import { Altimeter } from "./altimeter.js";
+import { AltimeterDisplay } from "./altimeterDisplay.js";
+import { LandingMonitor } from "./landingAssessment.js";
+import { LandingSummaryPanel } from "./landingSummary.js";
+import { BodyPosition } from "./bodyPositions.js";
 
 // Canvas
 const canvas = document.querySelector("canvas.webgl");
@@ -62,19 +69,64 @@ const sizes = {
 const ambientLight = new THREE.AmbientLight("#b9d5ff", 0.75);
 scene.add(ambientLight);
 
+// Sun, so the relief of the terrain shows
+const sunLight = new THREE.DirectionalLight("#fff4e0", 0.6);
+sunLight.position.set(300, 500, 200);
+scene.add(sunLight);
+
 // After creating the scene
 createSkybox(scene);
-addGrassFloor(scene, world);
-addWoodAndTrees(scene);
+// Trees, the wind field and the thermal columns follow the heightmap terrain once it is in
+const grassFloor = addGrassFloor(scene, world, (terrain) => {
+  parachutePhysics.windField.setTerrain(terrain);
+  thermalVisualization.rebuild();
+  addWoodAndTrees(scene, world);
+});
 addPlatform(scene, world);
 const person = addPerson(scene, world);
 
-// Create wind visualization
-const windVisualization = new WindVisualization(scene, 0, 0);
+// Landing dispersion heat map drawn on the grass plane
+const landingHeatmap = new LandingHeatmap(grassFloor);
 
 // Create parachute physics system
 const parachutePhysics = createParachutePhysics(world, 80);
-window.physicsControls = new PhysicsControls(parachutePhysics, world, windVisualization);
+
+// Wind particles and arrows, drawn from the same wind field the physics flies through
+const windVisualization = new WindVisualization(scene, parachutePhysics.windField);
+
+// Thermal and sink columns of the drop zone (edited in the Thermals folder)
+const thermalVisualization = new ThermalVisualization(scene, parachutePhysics.windField);
+
+// Digital altimeter with alert altitudes and optional auto-deploy
+const altimeter = new Altimeter();
+const altimeterDisplay = new AltimeterDisplay(altimeter);
+
+// Touchdown assessment and the post-landing summary
+const landingMonitor = new LandingMonitor();
+const landingSummary = new LandingSummaryPanel();
+
+window.physicsControls = new PhysicsControls(parachutePhysics, world, windVisualization, landingHeatmap, altimeterDisplay, landingMonitor, thermalVisualization);
+
+// Parachute forces are applied once per fixed physics step, before integration
+world.addStepListener((fixedDelta) => {
+  const physicsBody = person && person.getPhysicsBody ? person.getPhysicsBody() : null;
+  if (physicsBody) {
+    parachutePhysics.update(fixedDelta, physicsBody);
+    updateAltimeter();
+
+    const landing = landingMonitor.update(physicsBody);
+    if (landing) {
+      parachutePhysics.recordEvent('touchdown', {
+        position: physicsBody.position.toArray(),
+        outcome: landing.outcome,
+        peakDecelerationG: landing.peakDecelerationG,
+        impactEnergy: landing.impactEnergy
+      });
+      landingSummary.show(landing);
+      console.log(`🛬 ${landing.outcomeName}: ${landing.verticalSpeed.toFixed(1)} m/s vertical, ${landing.horizontalSpeed.toFixed(1)} m/s horizontal`);
+    }
+  }
+});
 
 
 
@@ -138,32 +190,117 @@ window.addEventListener("resize", () => {
   renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
 });
 
+// Main deployment shared by the P key and the altimeter's auto-deploy
+function deployMainParachute() {
+  if (!person || !person.deployParachute) return false;
+
+  // Check if parachute can be deployed (after a cutaway only the reserve is left)
+  if (person.canDeployParachute() && parachutePhysics && parachutePhysics.canDeployParachute()) {
+    person.deployParachute(parachutePhysics ? parachutePhysics.canopy : null);
+    // Also deploy in physics system
+    if (parachutePhysics) {
+      parachutePhysics.deployParachute();
+    }
+    return true;
+  }
+
+  // Provide feedback about why parachute can't be deployed
+  if (person.hasLanded()) {
+    console.log('🚫 Cannot deploy parachute - skydiver has already landed!');
+  } else if (person.isParachuteDeployed()) {
+    console.log('🚫 Cannot deploy parachute - already deployed!');
+  } else if (parachutePhysics && parachutePhysics.state === ParachuteState.CUTAWAY) {
+    console.log('🚫 Main is cut away - deploy the reserve (V)!');
+  }
+  return false;
+}
+
+// Canopy steering keys, held down for full deflection
+const STEERING_KEYS = {
+  KeyJ: ControlInput.LEFT_TOGGLE,
+  KeyL: ControlInput.RIGHT_TOGGLE,
+  KeyI: ControlInput.FRONT_RISERS,
+  KeyK: ControlInput.REAR_RISERS,
+  KeyH: ControlInput.FLARE
+};
+
+// Freefall body position keys
+const BODY_POSITION_KEYS = {
+  Digit1: BodyPosition.BELLY,
+  Digit2: BodyPosition.HEAD_DOWN,
+  Digit3: BodyPosition.SIT,
+  Digit4: BodyPosition.TRACK
+};
+
 // Keyboard controls for parachute deployment
 window.addEventListener("keydown", (event) => {
+  if (STEERING_KEYS[event.code]) {
+    parachutePhysics.setControlInput(STEERING_KEYS[event.code], 1);
+    return;
+  }
+
+  if (BODY_POSITION_KEYS[event.code]) {
+    if (person && person.hasLanded()) {
+      console.log('🚫 Body position only applies in freefall!');
+    } else if (parachutePhysics.parachuteOpen) {
+      console.log('🚫 Body position only applies in freefall - canopy is open!');
+    } else {
+      parachutePhysics.setBodyPosition(BODY_POSITION_KEYS[event.code]);
+    }
+    return;
+  }
+
   switch (event.code) {
     case "KeyP":
       event.preventDefault();
-      if (person && person.deployParachute) {
-        // Check if parachute can be deployed
-        if (person.canDeployParachute()) {
-          person.deployParachute();
-          // Also deploy in physics system
-          if (parachutePhysics) {
-            parachutePhysics.deployParachute();
-          }
+      deployMainParachute();
+      break;
+    case "KeyG":
+      event.preventDefault();
+      // Drogue stage (tandem / high-altitude); KeyP then releases it and deploys the main
+      if (person && person.deployDrogue) {
+        if (person.canDeployDrogue() && parachutePhysics && parachutePhysics.canDeployDrogue()) {
+          person.deployDrogue(parachutePhysics.drogue);
+          parachutePhysics.deployDrogue();
+        } else if (person.hasLanded()) {
+          console.log('🚫 Cannot deploy drogue - skydiver has already landed!');
         } else {
-          // Provide feedback about why parachute can't be deployed
-          if (person.hasLanded()) {
-            console.log('🚫 Cannot deploy parachute - skydiver has already landed!');
-          } else if (person.isParachuteDeployed()) {
-            console.log('🚫 Cannot deploy parachute - already deployed!');
-          }
+          console.log('🚫 Drogue can only be deployed in freefall!');
         }
       }
       break;
+    case "KeyC":
+      // Cut away the main (the canopy visuals follow the physics state)
+      if (parachutePhysics) {
+        parachutePhysics.cutaway();
+      }
+      break;
+    case "KeyV":
+      if (parachutePhysics && !(person && person.hasLanded())) {
+        parachutePhysics.deployReserve();
+      }
+      break;
+    case "KeyT":
+      // Pause / resume the simulation clock
+      world.clock.togglePause();
+      break;
+    case "KeyY":
+      // Advance exactly one physics step (pauses if running)
+      world.clock.requestStep();
+      break;
+    case "Minus":
+      world.clock.stepTimeScale(-1);
+      break;
+    case "Equal":
+      world.clock.stepTimeScale(1);
+      break;
+    case "Digit0":
+      world.clock.setTimeScale(1);
+      break;
     case "KeyR":
       if (physicsControls) {
         physicsControls.resetSimulation();
+        landingSummary.hide();
         // Reset person completely
         if (person && person.resetPerson) {
           person.resetPerson();
@@ -173,6 +310,43 @@ window.addEventListener("keydown", (event) => {
   }
 });
 
+window.addEventListener("keyup", (event) => {
+  if (STEERING_KEYS[event.code]) {
+    parachutePhysics.setControlInput(STEERING_KEYS[event.code], 0);
+  }
+});
+
+// Altimeter alerts and auto-deploy, every physics step while the jumper is still in the air
+function updateAltimeter() {
+  if (person.hasLanded()) return;
+
+  const reading = altimeter.update(parachutePhysics.heightAboveGround, parachutePhysics.velocity.y);
+  reading.alerts.forEach(alert => altimeterDisplay.showAlert(alert));
+
+  if (reading.autoDeploy && deployMainParachute()) {
+    altimeterDisplay.showMessage(`🪂 AUTO-DEPLOY ${altimeter.autoDeployAltitude} m`);
+    console.log(`🪂 Auto-deploy at ${parachutePhysics.heightAboveGround.toFixed(0)} m`);
+  }
+}
+
+// Follow parachute physics state changes that were not started by the person model
+function syncCanopyVisuals() {
+  // An AAD firing on a malfunction cuts away and opens the reserve within one physics step
+  const mainReleased = parachutePhysics.state === ParachuteState.CUTAWAY ||
+    (parachutePhysics.reserveDeployed && person.getDeployedCanopy() !== parachutePhysics.activeCanopy);
+  if (mainReleased && person.isParachuteDeployed()) {
+    person.cutaway();
+  }
+  if (parachutePhysics.reserveDeployed && parachutePhysics.parachuteOpen && !person.isParachuteDeployed()) {
+    person.deployParachute(parachutePhysics.activeCanopy);
+  }
+}
+
+// Pose the model for the body position chosen by key or GUI (freefall only)
+function syncBodyPosition() {
+  person.setBodyPosition(parachutePhysics.bodyPosition);
+}
+
 // Coordinates
 const coordsDiv = document.getElementById('coords');
 
@@ -183,10 +357,14 @@ function animate() {
     requestAnimationFrame(animate);
   }, 0);
 
-  const deltaTime = clock.getDelta();
+  // Real frame time is converted to simulated time by the world's clock
+  const frameDelta = clock.getDelta();
 
-  // Step the physics world
-  world.step(deltaTime);
+  // Step the physics world (fixed timestep, interpolated body transforms)
+  world.step(frameDelta);
+
+  // Simulated time covered by this frame (0 while paused)
+  const deltaTime = world.clock.lastDelta;
 
   // Update person animations and physics
   if (person && person.update) {
@@ -206,32 +384,48 @@ function animate() {
     }
   }
 
-  // Update parachute physics
+  // Update parachute display (physics itself runs inside world.step)
   if (parachutePhysics && person && person.getPhysicsBody) {
     const physicsBody = person.getPhysicsBody();
     if (physicsBody) {
-      parachutePhysics.update(deltaTime, physicsBody);
-
       // Update physics controls display
       physicsControls.updateDisplay();
 
+      // Cutaway and reserve can be triggered from keys or the GUI
+      syncCanopyVisuals();
+      syncBodyPosition();
+
+      altimeterDisplay.setMach(parachutePhysics.machNumber, parachutePhysics.flowRegime);
+      altimeterDisplay.render();
+
       // Update parachute model if deployed
       if (person.isParachuteDeployed && person.getParachuteModel) {
         const parachuteModel = person.getParachuteModel();
         if (parachuteModel) {
           const physicsState = parachutePhysics.getPhysicsState();
+          if (physicsState.drogueOpen) {
+            parachuteModel.updateDrogueProgress(parachutePhysics.getDrogueProgress());
+          }
           if (physicsState.state === 'opening') {
-            const openingProgress = (Date.now() - parachutePhysics.parachuteDeployTime) / (parachutePhysics.openingDuration * 1000);
-            parachuteModel.updateOpeningProgress(openingProgress);
+            parachuteModel.updateOpeningProgress(
+              parachutePhysics.getOpeningProgress(),
+              world.time,
+              parachutePhysics.getInflationFraction()
+            );
+          }
+          if (physicsState.parachuteOpen) {
+            parachuteModel.setHeading(physicsState.heading);
+            parachuteModel.setMalfunction(physicsState.state === ParachuteState.MALFUNCTION ? physicsState.malfunction : null);
           }
         }
       }
     }
   }
 
-  // Update wind visualization
+  // Update wind visualization around the jumper
   if (windVisualization) {
-    windVisualization.update(deltaTime);
+    windVisualization.setFocus(parachutePhysics.position);
+    windVisualization.update(deltaTime, world.time);
   }
 
   // Update Custom Camera Controls
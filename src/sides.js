@@ -2,7 +2,9 @@ import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
 import * as THREE from "three";
 
 
-export function addWoodAndTrees(scene) {
+// Trees stand on the terrain of the world (flat if it has none)
+export function addWoodAndTrees(scene, world) {
+  const groundHeight = (x, z) => world && world.terrain ? world.terrain.getHeight(x, z) : 0;
   const loader = new GLTFLoader();
   loader.load('/models/Tree-2.glb', (gltf) => {
     
@@ -13,10 +15,11 @@ export function addWoodAndTrees(scene) {
         const clone2 = tree2.clone();
         const clone3 = tree2.clone();
         const clone4 = tree2.clone();
-        clone1.position.set(450 - (i * 48.5), 45, 450);
-        clone2.position.set(450 - (i * 48.5), 45, -450);
-        clone3.position.set(450, 45, 450 - (i * 48.5));
-        clone4.position.set(-450, 45, 450 - (i * 48.5));
+        const along = 450 - (i * 48.5);
+        clone1.position.set(along, groundHeight(along, 450) + 45, 450);
+        clone2.position.set(along, groundHeight(along, -450) + 45, -450);
+        clone3.position.set(450, groundHeight(450, along) + 45, along);
+        clone4.position.set(-450, groundHeight(-450, along) + 45, along);
 
         //Shadows
         clone1.castShadow = true; clone1.receiveShadow = true;
@@ -35,16 +38,17 @@ export function addWoodAndTrees(scene) {
         const clone2 = treeAndRocks.clone();
         const clone3 = treeAndRocks.clone();
         const clone4 = treeAndRocks.clone();
-        clone.position.set(400 - (i * 48.5), 0.5, 400);
+        const along = 400 - (i * 48.5);
+        clone.position.set(along, groundHeight(along, 400) + 0.5, 400);
         clone.rotation.set(0, Math.PI * 2 , 0);
         
-        clone2.position.set(400 - (i * 48.5), 0.5, -400);
+        clone2.position.set(along, groundHeight(along, -400) + 0.5, -400);
         clone2.rotation.set(0, Math.PI, 0);
         
-        clone3.position.set(400 , 0.5, 400 - (i * 48.5));
+        clone3.position.set(400 , groundHeight(400, along) + 0.5, along);
         clone3.rotation.set(0, Math.PI * 0.5 , 0);
         
-        clone4.position.set(-400, 0.5, 400 - (i * 48.5));
+        clone4.position.set(-400, groundHeight(-400, along) + 0.5, along);
         clone4.rotation.set(0, -Math.PI * 0.5 , 0);
 
         scene.add(clone, clone2, clone3, clone4);
@@ -80,7 +84,7 @@ export function addWoodAndTrees(scene) {
       if (tooClose) continue;
       
       const clone = tree3.clone();
-      clone.position.set(x, 0.5, z);
+      clone.position.set(x, groundHeight(x, z) + 0.5, z);
       scene.add(clone);
       window.allTreePositions.push({x, z});
       placed++;
@@ -115,7 +119,7 @@ export function addWoodAndTrees(scene) {
       }
       if (tooClose) continue;
       const clone = tree4.clone();
-      clone.position.set(x, 0.5, z);
+      clone.position.set(x, groundHeight(x, z) + 0.5, z);
       scene.add(clone);
       window.allTreePositions.push({x, z});
       placed++;
@@ -0,0 +1,88 @@
+// Simulation clock owned by CustomPhysicsWorld
+// Every module reads simulated time from here instead of Date.now(), so pausing,
+// single-stepping and time scaling keep physics and visuals in sync.
+export const MIN_TIME_SCALE = 0.1;
+export const MAX_TIME_SCALE = 10;
+
+// Speed presets used by the keyboard shortcuts
+export const TIME_SCALE_PRESETS = [0.1, 0.25, 0.5, 1, 2, 5, 10];
+
+export class SimulationClock {
+    constructor() {
+        this.time = 0;            // Simulated seconds since start
+        this.timeScale = 1;       // Simulated seconds per real second
+        this.paused = false;
+        this.pendingSteps = 0;    // Single steps requested while paused
+        this.lastDelta = 0;       // Simulated time covered by the last rendered frame
+    }
+
+    // Current simulated time in seconds
+    now() {
+        return this.time;
+    }
+
+    // Advance simulated time (called by the world after each fixed step)
+    tick(deltaTime) {
+        this.time += deltaTime;
+    }
+
+    // Convert a real frame delta into the simulated time to integrate
+    scaleFrameTime(realDelta) {
+        return this.paused ? 0 : realDelta * this.timeScale;
+    }
+
+    pause() {
+        this.paused = true;
+        console.log('⏸️ Simulation paused');
+    }
+
+    resume() {
+        this.paused = false;
+        this.pendingSteps = 0;
+        console.log('▶️ Simulation resumed');
+    }
+
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    // Request a single physics step (pauses the clock if it is running)
+    requestStep() {
+        if (!this.paused) {
+            this.pause();
+        }
+        this.pendingSteps++;
+    }
+
+    // Returns true if a requested single step should be taken now
+    consumeStep() {
+        if (this.pendingSteps > 0) {
+            this.pendingSteps--;
+            return true;
+        }
+        return false;
+    }
+
+    setTimeScale(scale) {
+        this.timeScale = Math.max(MIN_TIME_SCALE, Math.min(scale, MAX_TIME_SCALE));
+        console.log(`⏱️ Simulation speed: ${this.timeScale}×`);
+    }
+
+    // Move to the next faster (direction = 1) or slower (direction = -1) preset
+    stepTimeScale(direction) {
+        const index = TIME_SCALE_PRESETS.findIndex(preset => preset >= this.timeScale - 1e-6);
+        const currentIndex = index === -1 ? TIME_SCALE_PRESETS.length - 1 : index;
+        const nextIndex = Math.max(0, Math.min(currentIndex + direction, TIME_SCALE_PRESETS.length - 1));
+        this.setTimeScale(TIME_SCALE_PRESETS[nextIndex]);
+    }
+
+    reset() {
+        this.time = 0;
+        this.pendingSteps = 0;
+        this.lastDelta = 0;
+    }
+}
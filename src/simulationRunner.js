@@ -0,0 +1,360 @@
+import * as THREE from "three";
+import { CustomPhysicsWorld, CustomPhysicsBody } from "./customPhysics.js";
+import { IntegratorType } from "./integrators.js";
+import { ParachutePhysics, ParachuteState, PHYSICS_CONSTANTS, ControlInput } from "./parachutePhysics.js";
+import { TelemetryRecorder } from "./telemetry.js";
+import { createWindProfile } from "./windProfile.js";
+import { Terrain } from "./terrain.js";
+import { ISA, STANDARD_SEA_LEVEL_PRESSURE, AtmosphereModel, StandardAtmosphere, SoundingAtmosphere, parseSounding } from "./atmosphere.js";
+import { assessLanding, getJumperProfile } from "./landingAssessment.js";
+
+// Headless jump simulation: ParachutePhysics + CustomPhysicsBody without a renderer,
+// loaders or GUI. Runs from exit to touchdown at a fixed timestep.
+
+// s after a canopy is fully open that still count as its opening (the surge under the canopy)
+const OPENING_SURGE_TIME = 5;
+
+// Scenario defaults match the browser jump in person.js
+export const DEFAULT_SCENARIO = {
+    name: 'default',
+    mass: PHYSICS_CONSTANTS.PARACHUTIST_MASS,    // kg
+    exitPosition: [0, 455, 185],                 // m
+    exitVelocity: [0, -1, -20],                  // m/s
+    deployAltitude: 300,                         // m, deploy at or below this height above the ground
+    deployDelay: null,                           // s after exit, deploy on time instead of altitude
+    drogueDelay: null,                           // s after exit to deploy the drogue (null = no drogue stage)
+    drogueAltitude: null,                        // m above the ground, deploy the drogue at or below this height instead
+    drogue: 'drogue',                            // drogue catalog id or spec object
+    malfunction: 'none',                         // MalfunctionType, 'random' or 'none' (see malfunctions.js)
+    malfunctionProbability: 0,                   // chance of a random malfunction when none is forced
+    malfunctionSeed: 1,
+    cutawayDelay: null,                          // s after a malfunction to cut away (null = ride it down)
+    reserveDelay: 1,                             // s after the cutaway to deploy the reserve
+    bodyPosition: 'belly',                       // freefall body position (see bodyPositions.js)
+    flareAltitude: null,                         // m above the ground, pull a full flare at or below it (ram-air canopies)
+    jumperProfile: 'student',                    // landing thresholds (see landingAssessment.js)
+    aad: null,                                   // armed AAD mode: 'student' | 'expert' | 'tandem' (null = disarmed)
+    wind: { strength: 0, direction: 0 },         // m/s, degrees
+    windsAloft: null,                            // wind by height, replaces wind: { surface: { strength, direction },
+                                                 // levels: [{ altitude (m), strength, direction }], boundaryLayer:
+                                                 // 'log' | 'power' | 'none', boundaryLayerHeight, roughness } (see windProfile.js)
+    turbulence: 'none',                          // Dryden gust intensity: 'none' | 'light' | 'moderate' | 'severe'
+    turbulenceSeed: 1,
+    thermals: null,                              // thermal / sink zones [{ x, z, radius, strength (m/s, - = sink), height }]
+                                                 // or a preset id (see thermals.js)
+    atmosphere: null,                            // { temperatureOffset (K), seaLevelPressure (hPa), relativeHumidity (%) }
+                                                 // or { sounding: CSV text or [{ altitude, temperature, pressure, relativeHumidity }] }
+                                                 // (null = ISA, see atmosphere.js)
+    terrain: null,                               // ground heights { heights: rows from -z to +z (m), size (m) }
+                                                 // (null = flat, see terrain.js)
+    canopy: null,                                // catalog id or canopy spec object (see canopyCatalog.js)
+    canopyType: null,                            // 'round' | 'ram-air', default catalog canopy when canopy is not set
+    glidePolar: null,                            // ram-air { trimSpeed, glideRatio } (null = catalog CL / CD)
+    dragCoeffVertical: null,                     // canopy Cd override (null = catalog value)
+    dragCoeffHorizontal: null,
+    enforceBoundaries: false,                    // clamp to the browser scene's flight box (the terrain's extent);
+                                                 // off so landings are not pinned to its edge
+    physicsHz: 120,                              // fixed physics rate
+    integrator: IntegratorType.SEMI_IMPLICIT_EULER,
+    sampleEvery: 1,                              // record every Nth physics step
+    maxTime: 600,                                // s, safety stop
+    checks: []                                   // pass / fail checks for sim-cli (see scenarioChecks.js)
+};
+
+// Fill missing scenario fields with defaults
+export function normalizeScenario(scenario = {}) {
+    return {
+        ...DEFAULT_SCENARIO,
+        ...scenario,
+        wind: { ...DEFAULT_SCENARIO.wind, ...(scenario.wind || {}) }
+    };
+}
+
+// Build the world, jumper body and parachute physics for a scenario
+export function createJumpSimulation(scenarioInput = {}) {
+    const scenario = normalizeScenario(scenarioInput);
+
+    const world = new CustomPhysicsWorld(scenario.physicsHz);
+    world.setGravity(new THREE.Vector3(0, -PHYSICS_CONSTANTS.GRAVITY, 0));
+    world.setIntegrator(scenario.integrator);
+    if (scenario.terrain) {
+        world.setTerrain(new Terrain(scenario.terrain));
+    }
+
+    const body = new CustomPhysicsBody(scenario.mass, new THREE.Vector3(...scenario.exitPosition));
+    body.setVelocity(new THREE.Vector3(...scenario.exitVelocity));
+    // Face the exit direction (straight down the -z axis like the browser when there is none)
+    const [exitX, , exitZ] = scenario.exitVelocity;
+    const exitYaw = exitX === 0 && exitZ === 0 ? Math.PI : Math.atan2(exitX, exitZ);
+    body.setOrientation(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), exitYaw));
+    body.fixedRotation = false;
+    body.enforceBoundaries = scenario.enforceBoundaries;
+    world.addBody(body);
+
+    const parachutePhysics = new ParachutePhysics(world, scenario.mass);
+    if (scenario.atmosphere) {
+        parachutePhysics.setAtmosphere(createScenarioAtmosphere(scenario.atmosphere));
+    }
+    parachutePhysics.setWind(scenario.wind.strength, scenario.wind.direction * (Math.PI / 180));
+    if (scenario.windsAloft) {
+        parachutePhysics.setWindProfile(createWindProfile(scenario.windsAloft));
+    }
+    if (scenario.thermals && !parachutePhysics.setThermals(scenario.thermals)) {
+        throw new Error(`Unknown thermals: ${JSON.stringify(scenario.thermals)}`);
+    }
+    if (scenario.turbulence !== 'none' && !parachutePhysics.setTurbulence(scenario.turbulence, scenario.turbulenceSeed)) {
+        throw new Error(`Unknown turbulence intensity: ${JSON.stringify(scenario.turbulence)}`);
+    }
+    selectCanopy(scenario, parachutePhysics);
+
+    // Same order as the browser: parachute forces, then the deployment triggers
+    const emergency = { malfunctionTime: null, cutawayTime: null };
+    world.addStepListener((fixedDelta) => {
+        parachutePhysics.update(fixedDelta, body);
+        runEmergencyProcedure(scenario, parachutePhysics, emergency, world.time);
+
+        // Heights above the ground, like the altimeter's
+        const height = parachutePhysics.heightAboveGround;
+        if (parachutePhysics.state === ParachuteState.FREEFALL && shouldDeployDrogue(scenario, height, world.time)) {
+            parachutePhysics.deployDrogue();
+        }
+        if (!parachutePhysics.parachuteOpen && shouldDeploy(scenario, height, world.time)) {
+            parachutePhysics.deployParachute();
+        }
+        if (isSet(scenario.flareAltitude) && parachutePhysics.isSteerable() && height <= scenario.flareAltitude) {
+            parachutePhysics.setControlInput(ControlInput.FLARE, 1);
+        }
+    });
+
+    return { scenario, world, body, parachutePhysics };
+}
+
+// Atmosphere model from the scenario's atmosphere field (an AtmosphereModel is used as is)
+export function createScenarioAtmosphere(spec) {
+    if (!spec) return ISA;
+    if (spec instanceof AtmosphereModel) return spec;
+    if (spec.sounding) {
+        return new SoundingAtmosphere(parseSounding(spec.sounding), spec.name || 'Sounding');
+    }
+    return new StandardAtmosphere({
+        temperatureOffset: spec.temperatureOffset || 0,
+        seaLevelPressure: spec.seaLevelPressure ? spec.seaLevelPressure * 100 : STANDARD_SEA_LEVEL_PRESSURE,
+        relativeHumidity: (spec.relativeHumidity || 0) / 100
+    });
+}
+
+// Canopy from the scenario, with glide polar and drag overrides applied before deployment
+function selectCanopy(scenario, parachutePhysics) {
+    const selected = scenario.canopy
+        ? parachutePhysics.setCanopy(scenario.canopy)
+        : !scenario.canopyType || parachutePhysics.setCanopyType(scenario.canopyType);
+    if (!selected) {
+        throw new Error(`Unknown canopy: ${JSON.stringify(scenario.canopy || scenario.canopyType)}`);
+    }
+
+    if (hasDrogueStage(scenario) && !parachutePhysics.setDrogue(scenario.drogue)) {
+        throw new Error(`Unknown drogue: ${JSON.stringify(scenario.drogue)}`);
+    }
+
+    if (!parachutePhysics.setMalfunction(scenario.malfunction)) {
+        throw new Error(`Unknown malfunction: ${JSON.stringify(scenario.malfunction)}`);
+    }
+    parachutePhysics.setMalfunctionProbability(scenario.malfunctionProbability, scenario.malfunctionSeed);
+
+    if (!parachutePhysics.setBodyPosition(scenario.bodyPosition)) {
+        throw new Error(`Unknown body position: ${JSON.stringify(scenario.bodyPosition)}`);
+    }
+
+    if (isSet(scenario.aad)) {
+        if (!parachutePhysics.aad.setMode(scenario.aad)) {
+            throw new Error(`Unknown AAD mode: ${JSON.stringify(scenario.aad)}`);
+        }
+        parachutePhysics.aad.arm();
+    }
+
+    if (scenario.glidePolar) {
+        parachutePhysics.setGlidePolar(scenario.glidePolar.trimSpeed, scenario.glidePolar.glideRatio);
+    }
+    if (isSet(scenario.dragCoeffVertical)) {
+        parachutePhysics.canopy.dragCoeffVertical = scenario.dragCoeffVertical;
+    }
+    if (isSet(scenario.dragCoeffHorizontal)) {
+        parachutePhysics.canopy.dragCoeffHorizontal = scenario.dragCoeffHorizontal;
+    }
+}
+
+function isSet(value) {
+    return value !== null && value !== undefined;
+}
+
+function hasDrogueStage(scenario) {
+    return isSet(scenario.drogueDelay) || isSet(scenario.drogueAltitude);
+}
+
+// Cut away a malfunctioning main after cutawayDelay, then deploy the reserve after reserveDelay
+function runEmergencyProcedure(scenario, parachutePhysics, emergency, time) {
+    if (!isSet(scenario.cutawayDelay)) return;
+
+    if (parachutePhysics.state === ParachuteState.MALFUNCTION) {
+        if (emergency.malfunctionTime === null) {
+            emergency.malfunctionTime = time;
+        }
+        if (time - emergency.malfunctionTime >= scenario.cutawayDelay) {
+            parachutePhysics.cutaway();
+            emergency.cutawayTime = time;
+        }
+    } else if (parachutePhysics.state === ParachuteState.CUTAWAY && time - emergency.cutawayTime >= scenario.reserveDelay) {
+        parachutePhysics.deployReserve();
+    }
+}
+
+function shouldDeployDrogue(scenario, height, time) {
+    if (isSet(scenario.drogueDelay)) {
+        return time >= scenario.drogueDelay;
+    }
+    return isSet(scenario.drogueAltitude) && height <= scenario.drogueAltitude;
+}
+
+function shouldDeploy(scenario, height, time) {
+    if (isSet(scenario.deployDelay)) {
+        return time >= scenario.deployDelay;
+    }
+    return height <= scenario.deployAltitude;
+}
+
+// One telemetry row for the current state
+export function sampleTelemetry(world, body, parachutePhysics) {
+    const forces = parachutePhysics.calculateForceBreakdown(body.position, body.velocity);
+    const netForce = body.computeAcceleration(body.position, body.velocity).multiplyScalar(body.mass);
+    const wind = parachutePhysics.updateWindVelocity(body.position);
+
+    return {
+        time: world.time,
+        x: body.position.x,
+        y: body.position.y,
+        z: body.position.z,
+        vx: body.velocity.x,
+        vy: body.velocity.y,
+        vz: body.velocity.z,
+        speed: body.velocity.length(),
+        state: parachutePhysics.state,
+        altitude: parachutePhysics.altitude,
+        heightAboveGround: parachutePhysics.heightAboveGround,
+        airDensity: parachutePhysics.airDensity,
+        temperature: parachutePhysics.temperature,
+        pressure: parachutePhysics.pressure,
+        speedOfSound: parachutePhysics.speedOfSound,
+        mach: parachutePhysics.machNumber,
+        windX: wind.x,
+        windY: wind.y,
+        windZ: wind.z,
+        gravityForce: forces.gravity.length(),
+        dragForce: forces.drag.length(),
+        liftForce: forces.lift.length(),
+        tensionForce: forces.tension.length(),
+        netForceX: netForce.x,
+        netForceY: netForce.y,
+        netForceZ: netForce.z
+    };
+}
+
+// Height gained while a canopy opens and surges (until OPENING_SURGE_TIME after it is fully
+// open), over the lowest point since it started opening
+class OpeningClimbTracker {
+    constructor() {
+        this.low = null;
+        this.openTime = null;
+        this.climb = 0;
+    }
+
+    update(state, height, time) {
+        if (state === ParachuteState.OPENING) {
+            this.openTime = null;
+            this.low = this.low === null ? height : this.low;
+        } else if (this.low !== null && state === ParachuteState.DEPLOYED) {
+            this.openTime = this.openTime === null ? time : this.openTime;
+            if (time - this.openTime > OPENING_SURGE_TIME) this.low = null;
+        } else {
+            this.low = null;
+        }
+        if (this.low === null) return;
+
+        this.low = Math.min(this.low, height);
+        this.climb = Math.max(this.climb, height - this.low);
+    }
+}
+
+// Run a full jump from exit to touchdown.
+// options.recordTelemetry = false skips per-step rows (used for batch runs).
+export function runJump(scenarioInput = {}, options = {}) {
+    const { recordTelemetry = true } = options;
+    const simulation = createJumpSimulation(scenarioInput);
+    const { scenario, world, body, parachutePhysics } = simulation;
+    const telemetry = new TelemetryRecorder();
+
+    parachutePhysics.updateAltitude(body.position);
+    parachutePhysics.recordEvent('exit', { position: body.position.toArray() });
+    if (recordTelemetry) {
+        telemetry.record(sampleTelemetry(world, body, parachutePhysics));
+    }
+
+    const jumperProfile = getJumperProfile(scenario.jumperProfile);
+    if (!jumperProfile) {
+        throw new Error(`Unknown jumper profile: ${JSON.stringify(scenario.jumperProfile)}`);
+    }
+
+    let landed = false;
+    let touchdownVelocity = null;
+    let landing = null;
+    const openingClimb = new OpeningClimbTracker();
+
+    while (!landed && world.time < scenario.maxTime) {
+        // Velocity just before the step that reaches the ground (collision zeroes it)
+        const velocityBeforeStep = body.velocity.clone();
+
+        world.fixedStep(world.fixedTimeStep);
+
+        openingClimb.update(parachutePhysics.state, body.position.y, world.time);
+
+        if (body.onGround) {
+            landed = true;
+            touchdownVelocity = velocityBeforeStep;
+            landing = assessLanding(touchdownVelocity, body.mass, jumperProfile, body.getGroundNormal());
+            parachutePhysics.recordEvent('touchdown', {
+                position: body.position.toArray(),
+                velocity: touchdownVelocity.toArray(),
+                outcome: landing.outcome,
+                peakDecelerationG: landing.peakDecelerationG,
+                impactEnergy: landing.impactEnergy
+            });
+        }
+
+        if (recordTelemetry && (landed || world.stepCount % scenario.sampleEvery === 0)) {
+            telemetry.record(sampleTelemetry(world, body, parachutePhysics));
+        }
+    }
+
+    if (!landed) {
+        parachutePhysics.recordEvent('timeout', { position: body.position.toArray() });
+    }
+
+    parachutePhysics.events.forEach(event => telemetry.recordEvent(event));
+
+    return {
+        scenario,
+        telemetry,
+        summary: {
+            landed,
+            flightTime: world.time,
+            steps: world.stepCount,
+            landingPosition: body.position.clone(),
+            touchdownVelocity: touchdownVelocity || body.velocity.clone(),
+            landing,
+            maxMach: parachutePhysics.maxMachNumber,
+            boundaryHits: body.boundaryHits,
+            openingClimb: openingClimb.climb,
+            finalState: parachutePhysics.state
+        },
+        simulation
+    };
+}
@@ -0,0 +1,71 @@
+// Per-step jump telemetry with CSV / JSON export
+export const TELEMETRY_COLUMNS = [
+    'time',
+    'x', 'y', 'z',
+    'vx', 'vy', 'vz',
+    'speed',
+    'state',
+    'altitude',
+    'heightAboveGround',
+    'airDensity',
+    'temperature',
+    'pressure',
+    'speedOfSound',
+    'mach',
+    'windX', 'windY', 'windZ',
+    'gravityForce',
+    'dragForce',
+    'liftForce',
+    'tensionForce',
+    'netForceX', 'netForceY', 'netForceZ'
+];
+
+export class TelemetryRecorder {
+    constructor(columns = TELEMETRY_COLUMNS) {
+        this.columns = columns;
+        this.samples = [];
+        this.events = [];
+    }
+
+    // Store one telemetry row (an object keyed by column name)
+    record(sample) {
+        this.samples.push(sample);
+    }
+
+    // Store a discrete event (deploy, touchdown, ...)
+    recordEvent(event) {
+        this.events.push(event);
+    }
+
+    clear() {
+        this.samples = [];
+        this.events = [];
+    }
+
+    toCSV() {
+        const lines = [this.columns.join(',')];
+
+        this.samples.forEach(sample => {
+            lines.push(this.columns.map(column => formatCSVValue(sample[column])).join(','));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    toJSON(extra = {}) {
+        return JSON.stringify({
+            ...extra,
+            columns: this.columns,
+            events: this.events,
+            samples: this.samples
+        }, null, 2);
+    }
+}
+
+function formatCSVValue(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'number') return Number.isFinite(value) ? String(Number(value.toFixed(6))) : '';
+
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,149 @@
+import * as THREE from "three";
+
+// Ground terrain
+// Height field over the drop zone: heights (m) on a square grid of resolution × resolution
+// samples spanning `size` m centred on the origin, one row per z from -z to +z, each row from
+// -x to +x (the top of a heightmap image is -z, like the grass texture). Heights are bilinearly
+// interpolated; beyond the edges the border heights continue.
+
+export const TERRAIN_SIZE = 1200;       // m, the grass plane of addGrassFloor
+export const TERRAIN_RESOLUTION = 129;  // samples per side of a heightmap terrain (128 cells)
+export const TERRAIN_MAX_HEIGHT = 30;   // m, relief of a heightmap terrain (rolling hills)
+export const TERRAIN_SMOOTHING = 4;     // 3 × 3 blur passes over a heightmap terrain
+
+export class Terrain {
+    // heights: flat row-major array or array of rows
+    constructor({ heights = [0, 0, 0, 0], size = TERRAIN_SIZE } = {}) {
+        const samples = Array.isArray(heights[0]) ? heights.flat() : Array.from(heights);
+        const resolution = Math.round(Math.sqrt(samples.length));
+        if (resolution < 2 || resolution * resolution !== samples.length || samples.some(height => !Number.isFinite(height))) {
+            throw new Error(`Terrain heights must be a square grid of at least 2 × 2 numbers, got ${samples.length}`);
+        }
+
+        this.heights = Float64Array.from(samples);
+        this.resolution = resolution;
+        this.size = size;
+        this.spacing = size / (resolution - 1);
+    }
+
+    static flat(size = TERRAIN_SIZE) {
+        return new Terrain({ size });
+    }
+
+    // Cell under a point: column / row of its corner and the fractions inside it
+    // (clamped to the border, where the slope across the edge is 0)
+    getCell(x, z) {
+        const last = this.resolution - 1;
+        const gridX = THREE.MathUtils.clamp((x + this.size / 2) / this.spacing, 0, last);
+        const gridZ = THREE.MathUtils.clamp((z + this.size / 2) / this.spacing, 0, last);
+        const column = Math.min(Math.floor(gridX), last - 1);
+        const row = Math.min(Math.floor(gridZ), last - 1);
+        return {
+            column,
+            row,
+            tx: gridX - column,
+            tz: gridZ - row,
+            insideX: Math.abs(x) < this.size / 2,
+            insideZ: Math.abs(z) < this.size / 2
+        };
+    }
+
+    getSample(column, row) {
+        return this.heights[row * this.resolution + column];
+    }
+
+    // Ground height at a world position (m)
+    getHeight(x, z) {
+        const { column, row, tx, tz } = this.getCell(x, z);
+        const h00 = this.getSample(column, row);
+        const h10 = this.getSample(column + 1, row);
+        const h01 = this.getSample(column, row + 1);
+        const h11 = this.getSample(column + 1, row + 1);
+        return (h00 * (1 - tx) + h10 * tx) * (1 - tz) + (h01 * (1 - tx) + h11 * tx) * tz;
+    }
+
+    // Upward unit normal of the ground: n = (-∂h/∂x, 1, -∂h/∂z) normalised
+    getNormal(x, z, target = new THREE.Vector3()) {
+        const { column, row, tx, tz, insideX, insideZ } = this.getCell(x, z);
+        const h00 = this.getSample(column, row);
+        const h10 = this.getSample(column + 1, row);
+        const h01 = this.getSample(column, row + 1);
+        const h11 = this.getSample(column + 1, row + 1);
+
+        const slopeX = insideX ? ((h10 - h00) * (1 - tz) + (h11 - h01) * tz) / this.spacing : 0;
+        const slopeZ = insideZ ? ((h01 - h00) * (1 - tx) + (h11 - h10) * tx) / this.spacing : 0;
+        return target.set(-slopeX, 1, -slopeZ).normalize();
+    }
+
+    // Slope angle of the ground (rad)
+    getSlope(x, z) {
+        return Math.acos(this.getNormal(x, z).y);
+    }
+}
+
+// Terrain from heightmap pixels (RGBA rows as from getImageData, brightness = height). Each
+// sample averages the pixels of its cell and `smoothing` 3 × 3 blur passes turn what is left of
+// the fine texture detail into hills; the result is stretched to 0 … maxHeight.
+export function createTerrainFromHeightmap(pixels, width, height, options = {}) {
+    const {
+        resolution = TERRAIN_RESOLUTION,
+        maxHeight = TERRAIN_MAX_HEIGHT,
+        smoothing = TERRAIN_SMOOTHING,
+        size = TERRAIN_SIZE
+    } = options;
+    const cellWidth = width / resolution;
+    const cellHeight = height / resolution;
+
+    const averaged = new Float64Array(resolution * resolution);
+    for (let row = 0; row < resolution; row++) {
+        const top = Math.floor(row * cellHeight);
+        const bottom = Math.max(top + 1, Math.floor((row + 1) * cellHeight));
+        for (let column = 0; column < resolution; column++) {
+            const left = Math.floor(column * cellWidth);
+            const right = Math.max(left + 1, Math.floor((column + 1) * cellWidth));
+            let sum = 0;
+            for (let y = top; y < bottom; y++) {
+                for (let x = left; x < right; x++) {
+                    sum += pixels[(y * width + x) * 4];
+                }
+            }
+            averaged[row * resolution + column] = sum / ((bottom - top) * (right - left));
+        }
+    }
+
+    let blurred = averaged;
+    for (let pass = 0; pass < smoothing; pass++) {
+        blurred = blur(blurred, resolution);
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    blurred.forEach(value => {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    });
+    const scale = max > min ? maxHeight / (max - min) : 0;
+    return new Terrain({ heights: Array.from(blurred, value => (value - min) * scale), size });
+}
+
+// One 3 × 3 box blur pass over a resolution × resolution grid (edges average the samples inside)
+function blur(samples, resolution) {
+    const blurred = new Float64Array(resolution * resolution);
+    for (let row = 0; row < resolution; row++) {
+        for (let column = 0; column < resolution; column++) {
+            let sum = 0;
+            let count = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const y = row + dy;
+                    const x = column + dx;
+                    if (x < 0 || y < 0 || x >= resolution || y >= resolution) continue;
+                    sum += samples[y * resolution + x];
+                    count++;
+                }
+            }
+            blurred[row * resolution + column] = sum / count;
+        }
+    }
+    return blurred;
+}
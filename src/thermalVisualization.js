@@ -0,0 +1,62 @@
+import * as THREE from "three";
+
+// Translucent columns for the thermals (orange) and sink zones (blue) of a WindField's thermals,
+// standing on the terrain at their centre
+const THERMAL_COLOR = 0xFF9800;
+const SINK_COLOR = 0x2196F3;
+
+export class ThermalVisualization {
+    constructor(scene, windField) {
+        this.scene = scene;
+        this.windField = windField;
+        this.columns = [];
+        this.visible = true;
+
+        this.rebuild();
+    }
+
+    // Recreate the columns after zones were added, removed or edited, or the terrain changed
+    rebuild() {
+        this.clearColumns();
+
+        const terrain = this.windField.terrain;
+        this.windField.thermals.zones.forEach(zone => {
+            const geometry = new THREE.CylinderGeometry(zone.radius, zone.radius, zone.height, 32, 1, true);
+            const material = new THREE.MeshBasicMaterial({
+                color: zone.isSink() ? SINK_COLOR : THERMAL_COLOR,
+                transparent: true,
+                opacity: Math.min(0.08 + 0.04 * Math.abs(zone.strength), 0.3), // stronger air, more visible
+                side: THREE.DoubleSide,
+                depthWrite: false
+            });
+
+            const column = new THREE.Mesh(geometry, material);
+            const ground = terrain ? terrain.getHeight(zone.x, zone.z) : 0;
+            column.position.set(zone.x, ground + zone.height / 2, zone.z);
+            column.visible = this.visible;
+
+            this.columns.push(column);
+            this.scene.add(column);
+        });
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.columns.forEach(column => {
+            column.visible = visible;
+        });
+    }
+
+    clearColumns() {
+        this.columns.forEach(column => {
+            this.scene.remove(column);
+            column.geometry.dispose();
+            column.material.dispose();
+        });
+        this.columns = [];
+    }
+
+    dispose() {
+        this.clearColumns();
+    }
+}
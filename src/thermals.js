@@ -0,0 +1,131 @@
+// Thermals and sink zones
+// Columns of rising (strength > 0) or sinking (strength < 0) air at a ground position { x, z }
+// with a radius and a top height. The vertical air-mass velocity peaks on the column axis,
+// falls off to zero at the radius and ramps in / out over the bottom and top tenth of the
+// column.
+
+const RAMP_FRACTION = 0.1; // of the column height, at the ground and at the top
+
+// Presets for the GUI and scenarios. The drop zone's open grass heats up in the sun while the
+// tree line round the field (see addWoodAndTrees, |x| or |z| from about 400 m) stays cool.
+export const THERMAL_PRESETS = {
+    none: {
+        id: 'none',
+        name: 'None',
+        zones: []
+    },
+    'drop-zone': {
+        id: 'drop-zone',
+        name: 'Sunlit field, tree-line sink',
+        zones: [
+            { x: 150, z: -120, radius: 90, strength: 2.0, height: 1500 },
+            { x: -180, z: 160, radius: 60, strength: 1.2, height: 900 },
+            { x: 0, z: 480, radius: 120, strength: -1.5, height: 600 },
+            { x: 0, z: -480, radius: 120, strength: -1.5, height: 600 },
+            { x: 480, z: 0, radius: 120, strength: -1.5, height: 600 },
+            { x: -480, z: 0, radius: 120, strength: -1.5, height: 600 }
+        ]
+    },
+    'strong-thermal': {
+        id: 'strong-thermal',
+        name: 'Strong thermal over the landing area',
+        zones: [
+            { x: 0, z: 100, radius: 120, strength: 3.5, height: 2500 }
+        ]
+    }
+};
+
+// Preset entry by id, null if unknown
+export function getThermalPreset(id) {
+    return THERMAL_PRESETS[id] || null;
+}
+
+// { 'Display name': id } for GUI dropdowns
+export function getThermalPresetOptions() {
+    const options = {};
+    Object.values(THERMAL_PRESETS).forEach(preset => {
+        options[preset.name] = preset.id;
+    });
+    return options;
+}
+
+// One column of rising or sinking air
+export class ThermalZone {
+    constructor({ x = 0, z = 0, radius = 100, strength = 2, height = 1000 } = {}) {
+        this.x = x;
+        this.z = z;
+        this.radius = Math.max(1, radius);   // m
+        this.strength = strength;            // m/s, positive up
+        this.height = Math.max(1, height);   // m, top of the column
+    }
+
+    isSink() {
+        return this.strength < 0;
+    }
+
+    // Heights where the vertical profile has a kink (top of the bottom ramp, start of the top ramp, top)
+    getBreakpoints() {
+        const ramp = RAMP_FRACTION * this.height;
+        return [ramp, this.height - ramp, this.height];
+    }
+
+    // w = strength × (1 − (r / R)²) × vertical ramp
+    getVerticalVelocity(x, y, z) {
+        if (y <= 0 || y >= this.height) return 0;
+
+        const dx = x - this.x;
+        const dz = z - this.z;
+        const radialFraction = (dx * dx + dz * dz) / (this.radius * this.radius);
+        if (radialFraction >= 1) return 0;
+
+        const ramp = RAMP_FRACTION * this.height;
+        const verticalFactor = Math.min(1, y / ramp, (this.height - y) / ramp);
+        return this.strength * (1 - radialFraction) * verticalFactor;
+    }
+
+    toJSON() {
+        return { x: this.x, z: this.z, radius: this.radius, strength: this.strength, height: this.height };
+    }
+}
+
+// All thermals and sink zones of the world; overlapping columns add up
+export class ThermalField {
+    constructor(zones = []) {
+        this.zones = [];
+        this.setZones(zones);
+    }
+
+    // Zone specs ({ x, z, radius, strength, height }), ThermalZones or a preset id
+    setZones(zones) {
+        const specs = typeof zones === 'string' ? (getThermalPreset(zones) || { zones: null }).zones : zones;
+        if (!Array.isArray(specs)) {
+            console.warn('Unknown thermal preset:', zones);
+            return false;
+        }
+        this.zones = specs.map(zone => zone instanceof ThermalZone ? zone : new ThermalZone(zone));
+        return true;
+    }
+
+    addZone(spec) {
+        const zone = spec instanceof ThermalZone ? spec : new ThermalZone(spec);
+        this.zones.push(zone);
+        return zone;
+    }
+
+    removeZone(zone) {
+        this.zones = this.zones.filter(candidate => candidate !== zone);
+    }
+
+    clear() {
+        this.zones = [];
+    }
+
+    // Vertical air-mass velocity at a world position (m/s, positive up)
+    getVerticalVelocity(position) {
+        let velocity = 0;
+        for (const zone of this.zones) {
+            velocity += zone.getVerticalVelocity(position.x, position.y, position.z);
+        }
+        return velocity;
+    }
+}
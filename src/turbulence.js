@@ -0,0 +1,177 @@
+import * as THREE from "three";
+import { SeededRandom } from "./random.js";
+
+// Stochastic turbulence (Dryden model, MIL-HDBK-1797)
+// Gust components along the mean wind (u), across it (v) and vertical (w). Each is a seeded
+// first-order Gauss-Markov process with the Dryden intensity σ and length scale L: the jumper
+// flies through frozen turbulence, so the correlation time is L / airspeed.
+// Below 1000 ft above the ground σ and L follow the low-altitude Dryden formulas, scaled by the
+// mean wind at 20 ft; from 2000 ft they take the intensity's values aloft (faded out toward the
+// tropopause).
+
+const FEET = 0.3048;                    // m
+const LOW_ALTITUDE_LIMIT = 1000 * FEET;
+const MEDIUM_ALTITUDE = 2000 * FEET;
+const LENGTH_SCALE_ALOFT = 1750 * FEET; // m, L_u = L_v = L_w from 2000 ft
+const MIN_LENGTH_SCALE = 10 * FEET;     // m, the low-altitude formulas hold from 10 ft
+const CALM_WIND_AT_20FT = 3;            // m/s, floor so calm days still have some turbulence
+const FADE_START_ALTITUDE = 6000;       // m, turbulence fades out up to the tropopause
+const FADE_END_ALTITUDE = 11000;
+const MIN_AIRSPEED = 1;                 // m/s, keeps the turbulence moving past a hovering jumper
+
+export const WIND_REFERENCE_HEIGHT = 20 * FEET; // m, height of W₂₀ in the low-altitude model
+
+export const TurbulenceIntensity = {
+    NONE: 'none',
+    LIGHT: 'light',
+    MODERATE: 'moderate',
+    SEVERE: 'severe'
+};
+
+// windFactor scales the mean wind at 20 ft (low-altitude σ_w = 0.1 × W₂₀),
+// sigmaAloft is σ from 2000 ft (m/s)
+export const TURBULENCE_INTENSITIES = {
+    [TurbulenceIntensity.NONE]: {
+        id: TurbulenceIntensity.NONE,
+        name: 'None',
+        windFactor: 0,
+        sigmaAloft: 0
+    },
+    [TurbulenceIntensity.LIGHT]: {
+        id: TurbulenceIntensity.LIGHT,
+        name: 'Light',
+        windFactor: 1,
+        sigmaAloft: 1.0
+    },
+    [TurbulenceIntensity.MODERATE]: {
+        id: TurbulenceIntensity.MODERATE,
+        name: 'Moderate',
+        windFactor: 1.75,
+        sigmaAloft: 2.0
+    },
+    [TurbulenceIntensity.SEVERE]: {
+        id: TurbulenceIntensity.SEVERE,
+        name: 'Severe',
+        windFactor: 2.5,
+        sigmaAloft: 4.0
+    }
+};
+
+export const DEFAULT_TURBULENCE_INTENSITY = TurbulenceIntensity.NONE;
+
+// Intensity entry by id, null if unknown
+export function getTurbulenceIntensity(id) {
+    return TURBULENCE_INTENSITIES[id] || null;
+}
+
+// { 'Display name': id } for GUI dropdowns
+export function getTurbulenceIntensityOptions() {
+    const options = {};
+    Object.values(TURBULENCE_INTENSITIES).forEach(intensity => {
+        options[intensity.name] = intensity.id;
+    });
+    return options;
+}
+
+// Dryden σ (m/s) and L (m) per component at a height above the ground, for the mean wind speed at 20 ft
+export function getDrydenScales(intensity, height, windAt20ft) {
+    const low = getLowAltitudeScales(intensity, Math.min(Math.max(height, MIN_LENGTH_SCALE), LOW_ALTITUDE_LIMIT), windAt20ft);
+    if (height <= LOW_ALTITUDE_LIMIT) return low;
+
+    const fade = 1 - Math.min(Math.max((height - FADE_START_ALTITUDE) / (FADE_END_ALTITUDE - FADE_START_ALTITUDE), 0), 1);
+    const sigma = intensity.sigmaAloft * fade;
+    const aloft = {
+        sigmaU: sigma, sigmaV: sigma, sigmaW: sigma,
+        lengthU: LENGTH_SCALE_ALOFT, lengthV: LENGTH_SCALE_ALOFT, lengthW: LENGTH_SCALE_ALOFT
+    };
+    if (height >= MEDIUM_ALTITUDE) return aloft;
+
+    // Linear blend between 1000 and 2000 ft
+    const t = (height - LOW_ALTITUDE_LIMIT) / (MEDIUM_ALTITUDE - LOW_ALTITUDE_LIMIT);
+    const scales = {};
+    Object.keys(aloft).forEach(key => {
+        scales[key] = low[key] + (aloft[key] - low[key]) * t;
+    });
+    return scales;
+}
+
+// σ_w = 0.1 × W₂₀, σ_u = σ_v = σ_w / (0.177 + 0.000823 h)^0.4
+// L_w = h, L_u = L_v = h / (0.177 + 0.000823 h)^1.2 (h in ft)
+function getLowAltitudeScales(intensity, height, windAt20ft) {
+    const heightFeet = height / FEET;
+    const ratio = 0.177 + 0.000823 * heightFeet;
+    const sigmaW = 0.1 * intensity.windFactor * Math.max(windAt20ft, CALM_WIND_AT_20FT);
+    const sigmaHorizontal = sigmaW / Math.pow(ratio, 0.4);
+    const lengthHorizontal = height / Math.pow(ratio, 1.2);
+
+    return {
+        sigmaU: sigmaHorizontal, sigmaV: sigmaHorizontal, sigmaW,
+        lengthU: lengthHorizontal, lengthV: lengthHorizontal, lengthW: height
+    };
+}
+
+export class DrydenTurbulence {
+    constructor(seed = 1) {
+        this.random = new SeededRandom(seed);
+        this.intensity = getTurbulenceIntensity(DEFAULT_TURBULENCE_INTENSITY);
+        this.state = new THREE.Vector3();   // unit-variance u, v, w processes
+        this.gust = new THREE.Vector3();    // m/s, world frame
+        this.scales = null;
+    }
+
+    setIntensity(id) {
+        const intensity = getTurbulenceIntensity(id);
+        if (!intensity) {
+            console.warn('Unknown turbulence intensity:', id);
+            return false;
+        }
+        this.intensity = intensity;
+        if (intensity.id === TurbulenceIntensity.NONE) {
+            this.state.set(0, 0, 0);
+            this.gust.set(0, 0, 0);
+        }
+        return true;
+    }
+
+    isActive() {
+        return this.intensity.id !== TurbulenceIntensity.NONE;
+    }
+
+    // Advance the gusts by one step along the jumper's path and return the world-frame gust.
+    // height is the jumper's height above the ground, meanWind the steady wind at the jumper and
+    // windAt20ft the mean wind speed at 20 ft.
+    update(deltaTime, height, airspeed, meanWind, windAt20ft) {
+        if (!this.isActive()) return this.gust;
+
+        const scales = getDrydenScales(this.intensity, height, windAt20ft);
+        const distance = Math.max(airspeed, MIN_AIRSPEED) * deltaTime;
+        this.state.x = this.advance(this.state.x, distance / scales.lengthU);
+        this.state.y = this.advance(this.state.y, distance / scales.lengthV);
+        this.state.z = this.advance(this.state.z, distance / scales.lengthW);
+        this.scales = scales;
+
+        // u along the mean wind (x when calm), v to its right, w up
+        const along = new THREE.Vector3(meanWind.x, 0, meanWind.z);
+        if (along.lengthSq() < 1e-6) along.set(1, 0, 0);
+        along.normalize();
+        const across = new THREE.Vector3(-along.z, 0, along.x);
+
+        this.gust.copy(along).multiplyScalar(scales.sigmaU * this.state.x)
+            .addScaledVector(across, scales.sigmaV * this.state.y);
+        this.gust.y = scales.sigmaW * this.state.z;
+        return this.gust;
+    }
+
+    // x' = a·x + √(1 − a²)·n with a = e^(−Δs / L): exact for any step, unit variance
+    advance(value, distanceRatio) {
+        const a = Math.exp(-distanceRatio);
+        return a * value + Math.sqrt(1 - a * a) * this.random.normal();
+    }
+
+    reset(seed = this.random.seed) {
+        this.random.reset(seed);
+        this.state.set(0, 0, 0);
+        this.gust.set(0, 0, 0);
+        this.scales = null;
+    }
+}
@@ -0,0 +1,188 @@
+import * as THREE from "three";
+import { WindProfile } from "./windProfile.js";
+import { DrydenTurbulence, WIND_REFERENCE_HEIGHT } from "./turbulence.js";
+import { ThermalField } from "./thermals.js";
+
+// 3D wind field of the drop zone
+// One service for everything that needs the air-mass velocity at a point: the physics samples it
+// at the jumper and the canopy, the wind particles and arrows wherever they are. The steady wind
+// (winds-aloft profile + thermals and sink zones) is baked into a grid over the drop zone and
+// trilinearly interpolated; outside the grid it is evaluated directly. Heights are above the
+// terrain under the sample point, so the boundary layer and the thermals follow the ground. The
+// turbulence gust is advanced along the jumper's path each physics step and added on top, fading
+// with the distance from the jumper.
+
+const GRID_EXTENT = 800;  // m, the grid spans ±GRID_EXTENT in x and z around the drop zone
+const GRID_SPACING = 25;  // m, horizontal node spacing
+// m, base height levels: dense near the ground for the boundary layer, coarse aloft. The profile's
+// own breakpoints and the thermal column ramps are added so the interpolation keeps their kinks.
+const BASE_LEVELS = [0, 0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 35, 50, 75, 100, 150, 200, 300, 400, 500, 650, 800,
+    1000, 1250, 1500, 2000, 2500, 3000, 3500, 4000, 5000, 6000];
+
+export class WindField {
+    constructor(options = {}) {
+        const { profile = WindProfile.uniform(0, 0), thermals = new ThermalField(), turbulence = new DrydenTurbulence(1), terrain = null } = options;
+        this.profile = profile;
+        this.thermals = thermals;
+        this.turbulence = turbulence;
+        this.terrain = terrain;
+        this.abovePosition = new THREE.Vector3(); // scratch: x, height above the ground, z
+        this.gustOrigin = new THREE.Vector3();    // where the gust was last advanced (the jumper)
+        this.grid = null; // baked on the first sample after a change
+    }
+
+    setProfile(profile) {
+        this.profile = profile;
+        this.invalidate();
+    }
+
+    // Ground the heights are measured from (a Terrain, null for flat ground at y = 0). The grid
+    // holds heights above the ground, so it stays valid.
+    setTerrain(terrain) {
+        this.terrain = terrain;
+    }
+
+    getHeightAboveGround(position) {
+        return this.terrain ? position.y - this.terrain.getHeight(position.x, position.z) : position.y;
+    }
+
+    // Thermal zones were added, removed or edited: rebake the grid on the next sample
+    invalidate() {
+        this.grid = null;
+    }
+
+    getGrid() {
+        if (!this.grid) {
+            this.grid = this.buildGrid();
+        }
+        return this.grid;
+    }
+
+    // Height levels of the grid, including every height where the steady wind has a kink
+    getGridLevels() {
+        const breakpoints = [this.profile.getBoundaryLayerTop(), ...this.profile.levels.map(level => level.altitude)];
+        this.thermals.zones.forEach(zone => {
+            breakpoints.push(...zone.getBreakpoints());
+        });
+
+        const top = BASE_LEVELS[BASE_LEVELS.length - 1];
+        const levels = [...BASE_LEVELS, ...breakpoints.filter(height => height > 0 && height < top)];
+        return [...new Set(levels)].sort((a, b) => a - b);
+    }
+
+    buildGrid() {
+        const levels = this.getGridLevels();
+        const size = Math.round(2 * GRID_EXTENT / GRID_SPACING) + 1;
+        const data = new Float64Array(size * size * levels.length * 3);
+        const wind = new THREE.Vector3();
+
+        // The profile only varies with height
+        levels.forEach((height, j) => {
+            this.profile.getWindVelocity(height, wind);
+            for (let index = j * size * size; index < (j + 1) * size * size; index++) {
+                data[index * 3] = wind.x;
+                data[index * 3 + 2] = wind.z;
+            }
+        });
+
+        // Each column only touches the nodes inside its radius and height
+        const coordinate = (i) => i * GRID_SPACING - GRID_EXTENT;
+        const nodeRange = (center, radius) => [
+            Math.max(0, Math.ceil((center - radius + GRID_EXTENT) / GRID_SPACING)),
+            Math.min(size - 1, Math.floor((center + radius + GRID_EXTENT) / GRID_SPACING))
+        ];
+        this.thermals.zones.forEach(zone => {
+            const [iMin, iMax] = nodeRange(zone.x, zone.radius);
+            const [kMin, kMax] = nodeRange(zone.z, zone.radius);
+            levels.forEach((height, j) => {
+                if (height <= 0 || height >= zone.height) return;
+                for (let k = kMin; k <= kMax; k++) {
+                    for (let i = iMin; i <= iMax; i++) {
+                        data[((j * size + k) * size + i) * 3 + 1] += zone.getVerticalVelocity(coordinate(i), height, coordinate(k));
+                    }
+                }
+            });
+        });
+
+        return { levels, size, data };
+    }
+
+    // Steady wind evaluated from the profile and the thermals (no grid)
+    evaluate(position, target = new THREE.Vector3()) {
+        const above = this.abovePosition.set(position.x, this.getHeightAboveGround(position), position.z);
+        this.profile.getWindVelocity(above.y, target);
+        target.y = this.thermals.getVerticalVelocity(above);
+        return target;
+    }
+
+    // Steady wind at a world position: trilinear interpolation inside the grid
+    sampleSteady(position, target = new THREE.Vector3()) {
+        const { levels, size, data } = this.getGrid();
+        const top = levels[levels.length - 1];
+        const heightAboveGround = this.getHeightAboveGround(position);
+        if (Math.abs(position.x) > GRID_EXTENT || Math.abs(position.z) > GRID_EXTENT || heightAboveGround > top) {
+            return this.evaluate(position, target);
+        }
+
+        const gridX = Math.min((position.x + GRID_EXTENT) / GRID_SPACING, size - 1.000001);
+        const gridZ = Math.min((position.z + GRID_EXTENT) / GRID_SPACING, size - 1.000001);
+        const i = Math.floor(gridX);
+        const k = Math.floor(gridZ);
+        const tx = gridX - i;
+        const tz = gridZ - k;
+
+        // Level below the height (binary search), below the ground the surface level is used
+        const height = Math.max(0, heightAboveGround);
+        let lower = 0;
+        let upper = levels.length - 1;
+        while (upper - lower > 1) {
+            const middle = (lower + upper) >> 1;
+            if (levels[middle] <= height) lower = middle;
+            else upper = middle;
+        }
+        const ty = (height - levels[lower]) / (levels[upper] - levels[lower]);
+
+        const components = [0, 0, 0];
+        for (let corner = 0; corner < 8; corner++) {
+            const dx = corner & 1;
+            const dz = (corner >> 1) & 1;
+            const dy = (corner >> 2) & 1;
+            const weight = (dx ? tx : 1 - tx) * (dz ? tz : 1 - tz) * (dy ? ty : 1 - ty);
+            if (weight === 0) continue;
+
+            const index = ((((dy ? upper : lower) * size) + k + dz) * size + i + dx) * 3;
+            components[0] += weight * data[index];
+            components[1] += weight * data[index + 1];
+            components[2] += weight * data[index + 2];
+        }
+        return target.set(components[0], components[1], components[2]);
+    }
+
+    // Air-mass velocity at a world position and simulation time (s): the steady field plus the
+    // turbulence gust of the latest physics step (the steady field does not change with time yet)
+    sample(position, time = 0, target = new THREE.Vector3()) {
+        return this.sampleSteady(position, target).add(this.getGust(position));
+    }
+
+    // Turbulence gust at a position. The gust is only realised along the jumper's path, so away
+    // from the jumper each component fades with the Dryden correlation e^(-d / L) (L_u = L_v)
+    getGust(position, target = new THREE.Vector3()) {
+        const { gust, scales } = this.turbulence;
+        if (!scales) return target.copy(gust);
+
+        const distance = position.distanceTo(this.gustOrigin);
+        const horizontal = Math.exp(-distance / scales.lengthU);
+        return target.set(gust.x * horizontal, gust.y * Math.exp(-distance / scales.lengthW), gust.z * horizontal);
+    }
+
+    // Advance the gusts along the jumper's path through the air (see turbulence.js)
+    advanceTurbulence(deltaTime, position, velocity) {
+        if (!this.turbulence.isActive()) return this.turbulence.gust;
+
+        this.gustOrigin.copy(position);
+        const meanWind = this.sampleSteady(position);
+        const airspeed = velocity.clone().sub(meanWind).length();
+        const windAt20ft = this.profile.getWind(WIND_REFERENCE_HEIGHT).strength;
+        return this.turbulence.update(deltaTime, this.getHeightAboveGround(position), airspeed, meanWind, windAt20ft);
+    }
+}
@@ -0,0 +1,149 @@
+import * as THREE from "three";
+
+// Winds aloft
+// Wind by height above the ground: a surface wind (measured at 10 m) and forecast levels aloft
+// (jump planning uses 3k, 6k, 9k and 12k ft). Between levels speed and direction are interpolated
+// (direction the short way round); below the boundary-layer top a log or power-law profile slows
+// the surface wind toward the ground. Directions are where the wind blows toward (rad, like
+// setWind).
+
+const FEET = 0.3048; // m
+
+export const SURFACE_WIND_HEIGHT = 10; // m, anemometer height of the surface wind
+
+export const BoundaryLayer = {
+    NONE: 'none',
+    LOG: 'log',
+    POWER: 'power'
+};
+
+export const BOUNDARY_LAYER_NAMES = {
+    [BoundaryLayer.NONE]: 'None (surface wind to the ground)',
+    [BoundaryLayer.LOG]: 'Logarithmic',
+    [BoundaryLayer.POWER]: 'Power law'
+};
+
+// Forecast levels of a winds-aloft table (m)
+export const WINDS_ALOFT_LEVELS = [
+    { label: '3k ft', altitude: 3000 * FEET },
+    { label: '6k ft', altitude: 6000 * FEET },
+    { label: '9k ft', altitude: 9000 * FEET },
+    { label: '12k ft', altitude: 12000 * FEET }
+];
+
+export const DEFAULT_BOUNDARY_LAYER = {
+    type: BoundaryLayer.LOG,
+    height: 300,          // m, top of the surface layer
+    roughness: 0.03,      // m, z₀ of open grassland
+    exponent: 1 / 7       // power-law α over open terrain
+};
+
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+// Speed and direction between two wind levels
+function interpolateWind(lower, upper, t) {
+    return {
+        strength: lower.strength + (upper.strength - lower.strength) * t,
+        direction: lower.direction + wrapAngle(upper.direction - lower.direction) * t
+    };
+}
+
+// surface: { strength (m/s), direction (rad) }, levels: [{ altitude (m), strength, direction }],
+// boundaryLayer: { type, height, roughness, exponent } (see DEFAULT_BOUNDARY_LAYER)
+export class WindProfile {
+    constructor(options = {}) {
+        const { surface = { strength: 0, direction: 0 }, levels = [], boundaryLayer = {} } = options;
+        this.surface = { strength: Math.max(0, surface.strength), direction: surface.direction };
+        this.levels = levels
+            .map(level => ({ altitude: level.altitude, strength: Math.max(0, level.strength), direction: level.direction }))
+            .sort((a, b) => a.altitude - b.altitude);
+        this.boundaryLayer = { ...DEFAULT_BOUNDARY_LAYER, ...boundaryLayer };
+    }
+
+    // The same wind over the whole column (setWind)
+    static uniform(strength, direction) {
+        return new WindProfile({
+            surface: { strength, direction },
+            boundaryLayer: { type: BoundaryLayer.NONE }
+        });
+    }
+
+    // Height where the boundary layer hands over to the levels aloft (m)
+    getBoundaryLayerTop() {
+        return this.boundaryLayer.type === BoundaryLayer.NONE ? SURFACE_WIND_HEIGHT : this.boundaryLayer.height;
+    }
+
+    // Surface wind multiplier at a height inside the boundary layer
+    // Log law: u(z) = u₁₀ × ln(z / z₀) / ln(10 / z₀); power law: u(z) = u₁₀ × (z / 10)^α
+    getBoundaryLayerFactor(height) {
+        const { type, roughness, exponent } = this.boundaryLayer;
+        if (type === BoundaryLayer.LOG) {
+            return height <= roughness ? 0 : Math.log(height / roughness) / Math.log(SURFACE_WIND_HEIGHT / roughness);
+        }
+        if (type === BoundaryLayer.POWER) {
+            return Math.pow(Math.max(0, height) / SURFACE_WIND_HEIGHT, exponent);
+        }
+        return 1;
+    }
+
+    // { strength, direction } at a height above the ground (m)
+    getWind(altitude) {
+        const height = Math.max(0, altitude);
+        const top = this.getBoundaryLayerTop();
+        const topWind = {
+            strength: this.surface.strength * this.getBoundaryLayerFactor(top),
+            direction: this.surface.direction
+        };
+
+        if (height <= top) {
+            return {
+                strength: this.surface.strength * this.getBoundaryLayerFactor(height),
+                direction: this.surface.direction
+            };
+        }
+
+        // Levels inside the boundary layer are covered by the surface profile
+        let lower = { altitude: top, ...topWind };
+        for (const level of this.levels) {
+            if (level.altitude <= top) continue;
+            if (height <= level.altitude) {
+                return interpolateWind(lower, level, (height - lower.altitude) / (level.altitude - lower.altitude));
+            }
+            lower = level;
+        }
+        return { strength: lower.strength, direction: lower.direction };
+    }
+
+    // Horizontal wind vector at a height above the ground
+    getWindVelocity(altitude, target = new THREE.Vector3()) {
+        const { strength, direction } = this.getWind(altitude);
+        return target.set(Math.cos(direction) * strength, 0, Math.sin(direction) * strength);
+    }
+}
+
+// Profile from a scenario / GUI table in degrees: { surface: { strength, direction }, levels:
+// [{ altitude, strength, direction }], boundaryLayer, boundaryLayerHeight, roughness, exponent }
+export function createWindProfile(spec) {
+    const toRadians = (wind) => ({ ...wind, direction: (wind.direction || 0) * (Math.PI / 180) });
+    const boundaryLayer = { type: spec.boundaryLayer || DEFAULT_BOUNDARY_LAYER.type };
+    if (spec.boundaryLayerHeight !== undefined) boundaryLayer.height = spec.boundaryLayerHeight;
+    if (spec.roughness !== undefined) boundaryLayer.roughness = spec.roughness;
+    if (spec.exponent !== undefined) boundaryLayer.exponent = spec.exponent;
+
+    return new WindProfile({
+        surface: toRadians(spec.surface || { strength: 0, direction: 0 }),
+        levels: (spec.levels || []).map(toRadians),
+        boundaryLayer
+    });
+}
+
+// { 'Display name': id } for GUI dropdowns
+export function getBoundaryLayerOptions() {
+    const options = {};
+    Object.entries(BOUNDARY_LAYER_NAMES).forEach(([id, name]) => {
+        options[name] = id;
+    });
+    return options;
+}
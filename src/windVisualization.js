@@ -1,10 +1,23 @@
 import * as THREE from "three";
 
+// Particles and arrows drawn from the shared WindField (see windField.js): each particle drifts
+// with the wind sampled where it is, each arrow points along and scales with its local wind.
+// Both follow the jumper (setFocus), so they show the air the jumper is falling through.
+const PARTICLE_COUNT = 120;
+const PARTICLE_HALF_WIDTH = 150;  // m, horizontal half-size of the particle box around the focus
+const PARTICLE_HALF_HEIGHT = 75;  // m
+const PARTICLE_LIFE = 10;         // s
+const ARROW_COUNT = 8;
+const ARROW_RING_RADIUS = 80;     // m
+const GROUND_ARROW_HEIGHT = 20;   // m above the ground, the second ring shows the wind over the drop zone
+const UP = new THREE.Vector3(0, 1, 0);
+
 export class WindVisualization {
-    constructor(scene, windStrength = 0, windDirection = 0) {
+    constructor(scene, windField) {
         this.scene = scene;
-        this.windStrength = windStrength;
-        this.windDirection = windDirection;
+        this.windField = windField;
+        this.focus = new THREE.Vector3(0, PARTICLE_HALF_HEIGHT, 0);
+        this.wind = new THREE.Vector3();
         this.particles = [];
         this.arrows = [];
 
@@ -13,42 +26,44 @@ export class WindVisualization {
     }
 
     createWindParticles() {
-        const particleCount = 50;
         const particleGeometry = new THREE.SphereGeometry(0.1, 8, 8);
-        const particleMaterial = new THREE.MeshBasicMaterial({
-            color: 0x87CEEB,
-            transparent: true,
-            opacity: 0.6
-        });
 
-        for (let i = 0; i < particleCount; i++) {
+        for (let i = 0; i < PARTICLE_COUNT; i++) {
+            // Own material so each particle fades on its own
+            const particleMaterial = new THREE.MeshBasicMaterial({
+                color: 0x87CEEB,
+                transparent: true,
+                opacity: 0.6
+            });
             const particle = new THREE.Mesh(particleGeometry, particleMaterial);
-
-            // Random starting position
-            particle.position.set(
-                (Math.random() - 0.5) * 200,
-                Math.random() * 100 + 50,
-                (Math.random() - 0.5) * 200
-            );
-
-            // Random velocity based on wind
-            const speed = this.windStrength * (0.5 + Math.random() * 0.5);
-            particle.userData = {
-                velocity: new THREE.Vector3(
-                    Math.cos(this.windDirection) * speed,
-                    0,
-                    Math.sin(this.windDirection) * speed
-                ),
-                life: Math.random() * 10
-            };
+            particle.userData = { life: Math.random() * PARTICLE_LIFE };
+            this.respawnParticle(particle);
 
             this.particles.push(particle);
             this.scene.add(particle);
         }
     }
 
+    // Random position in the box around the focus, above the ground
+    respawnParticle(particle) {
+        const x = this.focus.x + (Math.random() - 0.5) * 2 * PARTICLE_HALF_WIDTH;
+        const z = this.focus.z + (Math.random() - 0.5) * 2 * PARTICLE_HALF_WIDTH;
+        const ground = this.getGroundHeight(x, z);
+        particle.position.set(x, Math.max(ground + 1, this.focus.y + (Math.random() - 0.5) * 2 * PARTICLE_HALF_HEIGHT), z);
+    }
+
+    getGroundHeight(x, z) {
+        return this.windField.terrain ? this.windField.terrain.getHeight(x, z) : 0;
+    }
+
+    isOutsideBox(position) {
+        return Math.abs(position.x - this.focus.x) > PARTICLE_HALF_WIDTH ||
+            Math.abs(position.z - this.focus.z) > PARTICLE_HALF_WIDTH ||
+            Math.abs(position.y - this.focus.y) > PARTICLE_HALF_HEIGHT ||
+            position.y < this.getGroundHeight(position.x, position.z);
+    }
+
     createWindArrows() {
-        const arrowCount = 8;
         const arrowGeometry = new THREE.ConeGeometry(0.5, 2, 8);
         const arrowMaterial = new THREE.MeshBasicMaterial({
             color: 0x4CAF50,
@@ -56,87 +71,60 @@ export class WindVisualization {
             opacity: 0.8
         });
 
-        for (let i = 0; i < arrowCount; i++) {
-            const arrow = new THREE.Mesh(arrowGeometry, arrowMaterial);
-
-            // Position arrows around the scene
-            const angle = (i / arrowCount) * Math.PI * 2;
-            const radius = 80;
-
-            arrow.position.set(
-                Math.cos(angle) * radius,
-                20,
-                Math.sin(angle) * radius
-            );
-
-            // Point arrow in wind direction
-            arrow.rotation.y = this.windDirection;
-            arrow.rotation.x = Math.PI / 2;
-
-            // Scale based on wind strength
-            const scale = 0.5 + (this.windStrength / 20);
-            arrow.scale.set(scale, scale, scale);
+        // One ring around the jumper, one over the drop zone
+        [true, false].forEach(followsFocus => {
+            for (let i = 0; i < ARROW_COUNT; i++) {
+                const arrow = new THREE.Mesh(arrowGeometry, arrowMaterial);
+                const angle = (i / ARROW_COUNT) * Math.PI * 2;
+                arrow.userData = {
+                    followsFocus,
+                    offset: new THREE.Vector3(Math.cos(angle) * ARROW_RING_RADIUS, 0, Math.sin(angle) * ARROW_RING_RADIUS)
+                };
+
+                this.arrows.push(arrow);
+                this.scene.add(arrow);
+            }
+        });
+    }
 
-            this.arrows.push(arrow);
-            this.scene.add(arrow);
-        }
+    // Centre of the particle box and the jumper's arrow ring (the jumper's position)
+    setFocus(position) {
+        this.focus.copy(position);
     }
 
-    update(deltaTime) {
-        // Update particles more gently
+    // deltaTime/time are simulated seconds, so particles freeze while paused
+    update(deltaTime, time = 0) {
         this.particles.forEach(particle => {
-            // Move particle with reduced speed
-            const moveSpeed = 0.3; // Reduced from 1.0
-            particle.position.add(particle.userData.velocity.clone().multiplyScalar(deltaTime * moveSpeed));
-
-            // Reset particle if it goes out of bounds
-            if (particle.position.x > 100 || particle.position.x < -100 ||
-                particle.position.z > 100 || particle.position.z < -100) {
-                particle.position.set(
-                    (Math.random() - 0.5) * 200,
-                    Math.random() * 100 + 50,
-                    (Math.random() - 0.5) * 200
-                );
-            }
+            // Drift with the local wind
+            const wind = this.windField.sample(particle.position, time, this.wind);
+            particle.position.addScaledVector(wind, deltaTime);
 
-            // Update life and opacity
+            // Update life and opacity, start over somewhere in the box when it fades out or leaves
             particle.userData.life += deltaTime;
-            if (particle.userData.life > 10) {
+            if (particle.userData.life > PARTICLE_LIFE || this.isOutsideBox(particle.position)) {
                 particle.userData.life = 0;
-                particle.material.opacity = 0.6;
-            } else {
-                particle.material.opacity = 0.6 * (1 - particle.userData.life / 10);
+                this.respawnParticle(particle);
             }
+            particle.material.opacity = 0.6 * (1 - particle.userData.life / PARTICLE_LIFE);
         });
 
-        // Update arrows more gently
         this.arrows.forEach(arrow => {
-            // Rotate arrows very slightly to show wind movement (reduced movement)
-            arrow.rotation.y = this.windDirection + Math.sin(Date.now() * 0.0005) * 0.05; // Reduced frequency and amplitude
-
-            // Scale arrows based on wind strength
-            const scale = 0.5 + (this.windStrength / 20);
-            arrow.scale.set(scale, scale, scale);
-        });
-    }
-
-    setWind(strength, direction) {
-        this.windStrength = strength;
-        this.windDirection = direction;
+            const { followsFocus, offset } = arrow.userData;
+            if (followsFocus) {
+                arrow.position.copy(this.focus).add(offset);
+            } else {
+                arrow.position.set(offset.x, this.getGroundHeight(offset.x, offset.z) + GROUND_ARROW_HEIGHT, offset.z);
+            }
 
-        // Update particle velocities
-        this.particles.forEach(particle => {
-            const speed = this.windStrength * (0.5 + Math.random() * 0.5);
-            particle.userData.velocity.set(
-                Math.cos(this.windDirection) * speed,
-                0,
-                Math.sin(this.windDirection) * speed
-            );
-        });
+            // Point the cone along the local wind (lift and sink tilt it), size by speed; hidden in calm air
+            const wind = this.windField.sample(arrow.position, time, this.wind);
+            const speed = wind.length();
+            arrow.visible = speed > 0.01;
+            if (!arrow.visible) return;
 
-        // Update arrow rotations
-        this.arrows.forEach(arrow => {
-            arrow.rotation.y = this.windDirection;
+            arrow.quaternion.setFromUnitVectors(UP, wind.divideScalar(speed));
+            const scale = 0.5 + (speed / 20);
+            arrow.scale.set(scale, scale, scale);
         });
     }
 